@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Recording" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Recording_expiresAt_idx" ON "Recording"("expiresAt");
+
+-- CreateIndex
+CREATE INDEX "Recording_deletedAt_idx" ON "Recording"("deletedAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Recording" ADD COLUMN     "linkExpiresAt" TIMESTAMP(3),
+ADD COLUMN     "passwordHash" TEXT;
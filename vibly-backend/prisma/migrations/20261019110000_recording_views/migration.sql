@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Recording" DROP COLUMN "viewCount";
+
+-- CreateTable
+CREATE TABLE "RecordingView" (
+    "id" TEXT NOT NULL,
+    "recordingId" TEXT NOT NULL,
+    "viewerKey" TEXT NOT NULL,
+    "userId" TEXT,
+    "maxPosition" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RecordingView_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RecordingView_recordingId_createdAt_idx" ON "RecordingView"("recordingId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RecordingView_recordingId_viewerKey_idx" ON "RecordingView"("recordingId", "viewerKey");
+
+-- AddForeignKey
+ALTER TABLE "RecordingView" ADD CONSTRAINT "RecordingView_recordingId_fkey" FOREIGN KEY ("recordingId") REFERENCES "Recording"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecordingView" ADD CONSTRAINT "RecordingView_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
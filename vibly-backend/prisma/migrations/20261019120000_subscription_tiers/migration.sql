@@ -0,0 +1,10 @@
+-- CreateEnum
+CREATE TYPE "SubscriptionTier" AS ENUM ('free', 'pro');
+
+-- Unknown tiers fall back to free
+UPDATE "User" SET "subscriptionTier" = 'free' WHERE "subscriptionTier" NOT IN ('free', 'pro');
+
+-- AlterTable
+ALTER TABLE "User" ALTER COLUMN "subscriptionTier" DROP DEFAULT,
+ALTER COLUMN "subscriptionTier" TYPE "SubscriptionTier" USING ("subscriptionTier"::text::"SubscriptionTier"),
+ALTER COLUMN "subscriptionTier" SET DEFAULT 'free';
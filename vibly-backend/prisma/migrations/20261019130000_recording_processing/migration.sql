@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "ProcessingStatus" AS ENUM ('pending', 'ready', 'failed');
+
+-- AlterTable (existing recordings start as pending, so the worker backfills them)
+ALTER TABLE "Recording" ADD COLUMN     "posterPath" TEXT,
+ADD COLUMN     "processingAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "processingError" TEXT,
+ADD COLUMN     "processingStartedAt" TIMESTAMP(3),
+ADD COLUMN     "processingStatus" "ProcessingStatus" NOT NULL DEFAULT 'pending',
+ADD COLUMN     "thumbnailSprite" JSONB;
+
+-- CreateIndex
+CREATE INDEX "Recording_processingStatus_createdAt_idx" ON "Recording"("processingStatus", "createdAt");
@@ -0,0 +1,47 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Param,
+  Headers,
+  UseGuards,
+  Req,
+} from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+import { Throttle, ThrottlerGuard } from '@nestjs/throttler';
+import { OptionalJwtAuthGuard } from '../auth/optional-jwt.guard';
+import { AnalyticsService } from './analytics.service';
+import { ViewHeartbeatDto } from './dto/analytics.dto';
+
+@Controller('api')
+export class AnalyticsController {
+  constructor(private analyticsService: AnalyticsService) {}
+
+  // Public endpoint - called periodically by the player while it plays
+  @Post('watch/:shareToken/heartbeat')
+  @UseGuards(ThrottlerGuard, OptionalJwtAuthGuard)
+  @Throttle({ default: { limit: 30, ttl: 60000 } })
+  async heartbeat(
+    @Req() req: { user: { id: string } | null },
+    @Param('shareToken') shareToken: string,
+    @Headers('x-share-password') password: string | undefined,
+    @Body() dto: ViewHeartbeatDto,
+  ) {
+    return this.analyticsService.recordHeartbeat(
+      shareToken,
+      dto,
+      req.user?.id,
+      password,
+    );
+  }
+
+  @Get('recordings/:id/analytics')
+  @UseGuards(AuthGuard('jwt'))
+  async getAnalytics(
+    @Req() req: { user: { id: string } },
+    @Param('id') recordingId: string,
+  ) {
+    return this.analyticsService.getAnalytics(req.user.id, recordingId);
+  }
+}
@@ -0,0 +1,11 @@
+import { Module } from '@nestjs/common';
+import { AnalyticsController } from './analytics.controller';
+import { AnalyticsService } from './analytics.service';
+import { RecordingsModule } from '../recordings/recordings.module';
+
+@Module({
+  imports: [RecordingsModule],
+  controllers: [AnalyticsController],
+  providers: [AnalyticsService],
+})
+export class AnalyticsModule {}
@@ -0,0 +1,186 @@
+import { BadRequestException, Injectable } from '@nestjs/common';
+import { PrismaService } from '../prisma/prisma.service';
+import { RecordingsService } from '../recordings/recordings.service';
+import { ViewHeartbeatDto } from './dto/analytics.dto';
+
+const DROP_OFF_BUCKETS = 10;
+const ENGAGED_VIEW_SECONDS = 30;
+const RECENT_VIEWS_LIMIT = 50;
+
+@Injectable()
+export class AnalyticsService {
+  constructor(
+    private prisma: PrismaService,
+    private recordingsService: RecordingsService,
+  ) {}
+
+  async recordHeartbeat(
+    shareToken: string,
+    dto: ViewHeartbeatDto,
+    viewerId?: string,
+    password?: string,
+  ) {
+    const recording = await this.recordingsService.getWatchableRecording(
+      shareToken,
+      viewerId,
+      password,
+    );
+
+    // Owners previewing their own link don't count as views
+    if (viewerId === recording.userId) {
+      return { viewId: null };
+    }
+
+    if (!viewerId && !dto.visitorId) {
+      throw new BadRequestException('visitorId is required');
+    }
+
+    const viewerKey = viewerId
+      ? `user:${viewerId}`
+      : `visitor:${dto.visitorId}`;
+    const position = Math.min(Math.floor(dto.position), recording.duration);
+
+    if (dto.viewId) {
+      const view = await this.prisma.recordingView.findUnique({
+        where: { id: dto.viewId },
+      });
+
+      if (
+        view &&
+        view.recordingId === recording.id &&
+        view.viewerKey === viewerKey
+      ) {
+        await this.prisma.recordingView.update({
+          where: { id: view.id },
+          data: { maxPosition: Math.max(view.maxPosition, position) },
+        });
+        return { viewId: view.id };
+      }
+    }
+
+    const view = await this.prisma.recordingView.create({
+      data: {
+        recordingId: recording.id,
+        viewerKey,
+        userId: viewerId || null,
+        maxPosition: position,
+      },
+    });
+
+    return { viewId: view.id };
+  }
+
+  // Aggregates run in Postgres; only the most recent views are loaded as rows
+  async getAnalytics(userId: string, recordingId: string) {
+    const recording = await this.recordingsService.getOwnedRecording(
+      userId,
+      recordingId,
+    );
+
+    const duration = Math.max(recording.duration, 1);
+    const watchedRatio = (v: { maxPosition: number }) =>
+      Math.min(v.maxPosition / duration, 1);
+
+    const [[summary], engaged, buckets, days, recentViews] = await Promise.all([
+      this.prisma.$queryRaw<
+        {
+          totalViews: number;
+          uniqueViewers: number;
+          averageWatchedRatio: number;
+        }[]
+      >`
+        SELECT
+          COUNT(*)::int AS "totalViews",
+          COUNT(DISTINCT "viewerKey")::int AS "uniqueViewers",
+          COALESCE(AVG(LEAST("maxPosition"::float8 / ${duration}::int, 1)), 0)::float8
+            AS "averageWatchedRatio"
+        FROM "RecordingView"
+        WHERE "recordingId" = ${recordingId}
+      `,
+      // Who got past the first 30 seconds in any of their views
+      this.prisma.$queryRaw<
+        {
+          viewer: string;
+          maxPosition: number;
+          lastSeenAt: Date;
+        }[]
+      >`
+        SELECT
+          COALESCE(MAX(u."email"), v."viewerKey") AS "viewer",
+          MAX(v."maxPosition")::int AS "maxPosition",
+          MAX(v."lastSeenAt") AS "lastSeenAt"
+        FROM "RecordingView" v
+        LEFT JOIN "User" u ON u."id" = v."userId"
+        WHERE v."recordingId" = ${recordingId}
+        GROUP BY v."viewerKey"
+        HAVING MAX(v."maxPosition") >= ${ENGAGED_VIEW_SECONDS}::int
+        ORDER BY 3 DESC
+      `,
+      // Bucket a view ended in; integer maths so boundaries match start/end exactly
+      this.prisma.$queryRaw<{ bucket: number; views: number }[]>`
+        SELECT
+          LEAST(
+            "maxPosition" * ${DROP_OFF_BUCKETS}::int / ${duration}::int,
+            ${DROP_OFF_BUCKETS - 1}::int
+          )::int AS "bucket",
+          COUNT(*)::int AS "views"
+        FROM "RecordingView"
+        WHERE "recordingId" = ${recordingId}
+        GROUP BY 1
+      `,
+      // createdAt is stored in UTC, so days match toISOString()
+      this.prisma.$queryRaw<
+        { date: string; views: number; uniqueViewers: number }[]
+      >`
+        SELECT
+          to_char("createdAt", 'YYYY-MM-DD') AS "date",
+          COUNT(*)::int AS "views",
+          COUNT(DISTINCT "viewerKey")::int AS "uniqueViewers"
+        FROM "RecordingView"
+        WHERE "recordingId" = ${recordingId}
+        GROUP BY 1
+        ORDER BY 1
+      `,
+      this.prisma.recordingView.findMany({
+        where: { recordingId },
+        orderBy: { createdAt: 'desc' },
+        take: RECENT_VIEWS_LIMIT,
+        include: { user: { select: { email: true } } },
+      }),
+    ]);
+
+    // reached: views still playing at the bucket start; stopped: views that ended inside it
+    const stopped = new Array<number>(DROP_OFF_BUCKETS).fill(0);
+    for (const { bucket, views } of buckets) stopped[bucket] = views;
+    const bucketSize = duration / DROP_OFF_BUCKETS;
+    const dropOff = stopped.map((count, i) => ({
+      start: Math.round(i * bucketSize),
+      end: Math.round((i + 1) * bucketSize),
+      reached: stopped.slice(i).reduce((sum, n) => sum + n, 0),
+      stopped: count,
+    }));
+
+    return {
+      recordingId,
+      duration: recording.duration,
+      totalViews: summary.totalViews,
+      uniqueViewers: summary.uniqueViewers,
+      engagedViewers: engaged.map((v) => ({
+        ...v,
+        percentWatched: Math.round(watchedRatio(v) * 1000) / 10,
+      })),
+      averagePercentWatched:
+        Math.round(summary.averageWatchedRatio * 1000) / 10,
+      dropOff,
+      viewsOverTime: days,
+      recentViews: recentViews.map((v) => ({
+        id: v.id,
+        viewer: v.user?.email || v.viewerKey,
+        maxPosition: v.maxPosition,
+        percentWatched: Math.round(watchedRatio(v) * 1000) / 10,
+        createdAt: v.createdAt,
+        lastSeenAt: v.lastSeenAt,
+      })),
+    };
+  }
+}
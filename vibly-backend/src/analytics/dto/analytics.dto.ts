@@ -0,0 +1,25 @@
+import {
+  IsString,
+  IsNumber,
+  IsOptional,
+  IsUUID,
+  MaxLength,
+  Min,
+} from 'class-validator';
+
+export class ViewHeartbeatDto {
+  // Returned by the first heartbeat; omit to start a new view
+  @IsUUID()
+  @IsOptional()
+  viewId?: string;
+
+  // Random ID the player keeps in localStorage; required for anonymous viewers
+  @IsString()
+  @MaxLength(64)
+  @IsOptional()
+  visitorId?: string;
+
+  @IsNumber()
+  @Min(0)
+  position: number; // current playback position in seconds
+}
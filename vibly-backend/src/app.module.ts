@@ -1,10 +1,15 @@
 import { Module } from '@nestjs/common';
 import { ConfigModule } from '@nestjs/config';
 import { ThrottlerModule } from '@nestjs/throttler';
+import { ScheduleModule } from '@nestjs/schedule';
 import { PrismaModule } from './prisma/prisma.module';
 import { AuthModule } from './auth/auth.module';
 import { RecordingsModule } from './recordings/recordings.module';
-import { R2Module } from './r2/r2.module';
+import { StorageModule } from './storage/storage.module';
+import { CleanupModule } from './cleanup/cleanup.module';
+import { AnalyticsModule } from './analytics/analytics.module';
+import { PlansModule } from './plans/plans.module';
+import { CommentsModule } from './comments/comments.module';
 
 @Module({
   imports: [
@@ -17,10 +22,15 @@ import { R2Module } from './r2/r2.module';
         limit: 100,
       },
     ]),
+    ScheduleModule.forRoot(),
     PrismaModule,
     AuthModule,
     RecordingsModule,
-    R2Module,
+    StorageModule,
+    CleanupModule,
+    AnalyticsModule,
+    PlansModule,
+    CommentsModule,
   ],
 })
 export class AppModule {}
@@ -0,0 +1,31 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  Injectable,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { timingSafeEqual } from 'crypto';
+
+// Guards operator-only endpoints with a shared secret sent as `x-admin-key`
+@Injectable()
+export class AdminKeyGuard implements CanActivate {
+  constructor(private configService: ConfigService) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const adminKey = this.configService.get<string>('ADMIN_API_KEY');
+    const request = context.switchToHttp().getRequest();
+    const providedKey = request.headers['x-admin-key'];
+
+    if (
+      !adminKey ||
+      typeof providedKey !== 'string' ||
+      providedKey.length !== adminKey.length ||
+      !timingSafeEqual(Buffer.from(providedKey), Buffer.from(adminKey))
+    ) {
+      throw new UnauthorizedException('Invalid admin key');
+    }
+
+    return true;
+  }
+}
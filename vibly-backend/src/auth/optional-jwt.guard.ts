@@ -0,0 +1,10 @@
+import { Injectable } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+
+// Lets anonymous requests through; req.user is only set for a valid token
+@Injectable()
+export class OptionalJwtAuthGuard extends AuthGuard('jwt') {
+  handleRequest(_err: any, user: any) {
+    return user || null;
+  }
+}
@@ -0,0 +1,38 @@
+import { Module } from '@nestjs/common';
+import { ConfigModule } from '@nestjs/config';
+import { NestFactory } from '@nestjs/core';
+import { PrismaModule } from '../prisma/prisma.module';
+import { StorageModule } from '../storage/storage.module';
+import { CleanupService } from './cleanup.service';
+
+// Only what a cleanup run needs. Without ScheduleModule the hourly cron and the
+// processing worker stay off, so a running API isn't joined by a second worker.
+@Module({
+  imports: [
+    ConfigModule.forRoot({ isGlobal: true }),
+    PrismaModule,
+    StorageModule,
+  ],
+  providers: [CleanupService],
+})
+class CleanupCliModule {}
+
+// Usage: npm run cleanup [-- --dry-run]
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const app = await NestFactory.createApplicationContext(CleanupCliModule, {
+    logger: ['error', 'warn'],
+  });
+
+  try {
+    const report = await app.get(CleanupService).run({ dryRun });
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    await app.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
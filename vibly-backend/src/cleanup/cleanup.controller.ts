@@ -0,0 +1,20 @@
+import { Controller, Get, Post, UseGuards } from '@nestjs/common';
+import { AdminKeyGuard } from '../auth/admin-key.guard';
+import { CleanupService } from './cleanup.service';
+
+@Controller('api/admin/cleanup')
+@UseGuards(AdminKeyGuard)
+export class CleanupController {
+  constructor(private cleanupService: CleanupService) {}
+
+  // Dry run - reports what the next run would remove
+  @Get()
+  async getReport() {
+    return this.cleanupService.run({ dryRun: true });
+  }
+
+  @Post()
+  async runCleanup() {
+    return this.cleanupService.run();
+  }
+}
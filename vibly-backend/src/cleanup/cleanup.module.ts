@@ -0,0 +1,12 @@
+import { Module } from '@nestjs/common';
+import { CleanupController } from './cleanup.controller';
+import { CleanupService } from './cleanup.service';
+import { StorageModule } from '../storage/storage.module';
+
+@Module({
+  imports: [StorageModule],
+  controllers: [CleanupController],
+  providers: [CleanupService],
+  exports: [CleanupService],
+})
+export class CleanupModule {}
@@ -0,0 +1,180 @@
+import { ConflictException, Injectable, Logger } from '@nestjs/common';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { Prisma } from '@prisma/client';
+import { PrismaService } from '../prisma/prisma.service';
+import { StorageDriver } from '../storage/storage.driver';
+import { ThumbnailSprite } from '../processing/processing.service';
+import { UPLOAD_SESSION_GRACE_MS } from '../recordings/recordings.service';
+
+const BATCH_SIZE = 100;
+
+export interface CleanupReport {
+  dryRun: boolean;
+  ranAt: Date;
+  staleUploadSessions: {
+    id: string;
+    recordingId: string;
+    userId: string;
+    expiresAt: Date;
+  }[];
+  expiredRecordings: {
+    id: string;
+    userId: string;
+    filePath: string;
+    fileSize: number;
+    expiresAt: Date;
+  }[];
+  deletedRecordings: {
+    id: string;
+    userId: string;
+    filePath: string;
+    fileSize: number;
+    deletedAt: Date;
+  }[];
+  failures: { id: string; error: string }[];
+}
+
+@Injectable()
+export class CleanupService {
+  private readonly logger = new Logger(CleanupService.name);
+  private isRunning = false;
+
+  constructor(
+    private prisma: PrismaService,
+    private storage: StorageDriver,
+  ) {}
+
+  @Cron(CronExpression.EVERY_HOUR)
+  async handleCron() {
+    if (this.isRunning) return;
+
+    const report = await this.run();
+    this.logger.log(
+      `Aborted ${report.staleUploadSessions.length} upload sessions, ` +
+        `purged ${report.expiredRecordings.length + report.deletedRecordings.length} recordings, ` +
+        `${report.failures.length} failures`,
+    );
+  }
+
+  async run({ dryRun = false } = {}): Promise<CleanupReport> {
+    if (!dryRun && this.isRunning) {
+      throw new ConflictException('Cleanup is already running');
+    }
+
+    const now = new Date();
+    // Lapsed sessions keep their parts for a while so an interrupted recording can still be saved
+    const staleBefore = new Date(now.getTime() - UPLOAD_SESSION_GRACE_MS);
+
+    const staleSessions = await this.prisma.uploadSession.findMany({
+      where: { status: 'uploading', expiresAt: { lt: staleBefore } },
+      orderBy: { expiresAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    const expiredRecordings = await this.prisma.recording.findMany({
+      where: { expiresAt: { lt: now }, deletedAt: null },
+      orderBy: { expiresAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    const deletedRecordings = await this.prisma.recording.findMany({
+      where: { deletedAt: { not: null } },
+      orderBy: { deletedAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    const report: CleanupReport = {
+      dryRun,
+      ranAt: now,
+      staleUploadSessions: staleSessions.map((s) => ({
+        id: s.id,
+        recordingId: s.recordingId,
+        userId: s.userId,
+        expiresAt: s.expiresAt,
+      })),
+      expiredRecordings: expiredRecordings.map((r) => ({
+        id: r.id,
+        userId: r.userId,
+        filePath: r.filePath,
+        fileSize: Number(r.fileSize),
+        expiresAt: r.expiresAt,
+      })),
+      deletedRecordings: deletedRecordings.map((r) => ({
+        id: r.id,
+        userId: r.userId,
+        filePath: r.filePath,
+        fileSize: Number(r.fileSize),
+        deletedAt: r.deletedAt,
+      })),
+      failures: [],
+    };
+
+    if (dryRun) {
+      return report;
+    }
+
+    this.isRunning = true;
+    try {
+      for (const session of staleSessions) {
+        try {
+          await this.abortUploadSession(session);
+        } catch (error) {
+          report.failures.push({ id: session.id, error: error.message });
+        }
+      }
+
+      for (const recording of [...expiredRecordings, ...deletedRecordings]) {
+        try {
+          await this.purgeRecording(recording);
+        } catch (error) {
+          report.failures.push({ id: recording.id, error: error.message });
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    return report;
+  }
+
+  private async abortUploadSession(session: {
+    id: string;
+    recordingId: string;
+    uploadId: string;
+  }) {
+    const key = `recordings/${session.recordingId}.webm`;
+
+    try {
+      await this.storage.abortMultipartUpload(key, session.uploadId);
+    } catch (error) {
+      // Already completed or aborted on the storage side
+      if (error.name !== 'NoSuchUpload') throw error;
+    }
+
+    await this.prisma.uploadSession.update({
+      where: { id: session.id },
+      data: { status: 'expired' },
+    });
+  }
+
+  private async purgeRecording(recording: {
+    id: string;
+    filePath: string;
+    posterPath: string | null;
+    thumbnailSprite: Prisma.JsonValue;
+  }) {
+    const sprite = recording.thumbnailSprite as unknown as ThumbnailSprite;
+    const keys = [recording.filePath, recording.posterPath, sprite?.path];
+    for (const key of keys.filter(Boolean)) {
+      await this.storage.deleteObject(key);
+    }
+
+    await this.prisma.uploadSession.deleteMany({
+      where: { recordingId: recording.id },
+    });
+
+    await this.prisma.recording.delete({
+      where: { id: recording.id },
+    });
+  }
+}
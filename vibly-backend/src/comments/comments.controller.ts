@@ -0,0 +1,107 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Delete,
+  Body,
+  Param,
+  Query,
+  Headers,
+  UseGuards,
+  Req,
+} from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+import { Throttle, ThrottlerGuard } from '@nestjs/throttler';
+import { OptionalJwtAuthGuard } from '../auth/optional-jwt.guard';
+import { CommentsService } from './comments.service';
+import {
+  CommentsQueryDto,
+  CreateCommentDto,
+  CreateReactionDto,
+} from './dto/comments.dto';
+
+@Controller('api')
+export class CommentsController {
+  constructor(private commentsService: CommentsService) {}
+
+  // Public endpoints - same access rules as watching, so they also check the link password
+  @Get('watch/:shareToken/comments')
+  @UseGuards(ThrottlerGuard, OptionalJwtAuthGuard)
+  @Throttle({ default: { limit: 20, ttl: 60000 } })
+  async getComments(
+    @Req() req: { user: { id: string } | null },
+    @Param('shareToken') shareToken: string,
+    @Query() query: CommentsQueryDto,
+    @Headers('x-share-password') password?: string,
+  ) {
+    return this.commentsService.getComments(
+      shareToken,
+      query,
+      req.user?.id,
+      password,
+    );
+  }
+
+  @Post('watch/:shareToken/comments')
+  @UseGuards(ThrottlerGuard, OptionalJwtAuthGuard)
+  @Throttle({ default: { limit: 5, ttl: 60000 } })
+  async createComment(
+    @Req() req: { user: { id: string } | null },
+    @Param('shareToken') shareToken: string,
+    @Headers('x-share-password') password: string | undefined,
+    @Body() dto: CreateCommentDto,
+  ) {
+    return this.commentsService.createComment(
+      shareToken,
+      dto,
+      req.user?.id,
+      password,
+    );
+  }
+
+  @Get('watch/:shareToken/reactions')
+  @UseGuards(ThrottlerGuard, OptionalJwtAuthGuard)
+  @Throttle({ default: { limit: 20, ttl: 60000 } })
+  async getReactions(
+    @Req() req: { user: { id: string } | null },
+    @Param('shareToken') shareToken: string,
+    @Headers('x-share-password') password?: string,
+  ) {
+    return this.commentsService.getReactions(
+      shareToken,
+      req.user?.id,
+      password,
+    );
+  }
+
+  @Post('watch/:shareToken/reactions')
+  @UseGuards(ThrottlerGuard, OptionalJwtAuthGuard)
+  @Throttle({ default: { limit: 20, ttl: 60000 } })
+  async createReaction(
+    @Req() req: { user: { id: string } | null },
+    @Param('shareToken') shareToken: string,
+    @Headers('x-share-password') password: string | undefined,
+    @Body() dto: CreateReactionDto,
+  ) {
+    return this.commentsService.createReaction(
+      shareToken,
+      dto,
+      req.user?.id,
+      password,
+    );
+  }
+
+  @Delete('recordings/:id/comments/:commentId')
+  @UseGuards(AuthGuard('jwt'))
+  async deleteComment(
+    @Req() req: { user: { id: string } },
+    @Param('id') recordingId: string,
+    @Param('commentId') commentId: string,
+  ) {
+    return this.commentsService.deleteComment(
+      req.user.id,
+      recordingId,
+      commentId,
+    );
+  }
+}
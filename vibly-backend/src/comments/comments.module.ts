@@ -0,0 +1,11 @@
+import { Module } from '@nestjs/common';
+import { CommentsController } from './comments.controller';
+import { CommentsService } from './comments.service';
+import { RecordingsModule } from '../recordings/recordings.module';
+
+@Module({
+  imports: [RecordingsModule],
+  controllers: [CommentsController],
+  providers: [CommentsService],
+})
+export class CommentsModule {}
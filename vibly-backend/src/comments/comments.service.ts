@@ -0,0 +1,205 @@
+import {
+  BadRequestException,
+  ForbiddenException,
+  Injectable,
+  NotFoundException,
+} from '@nestjs/common';
+import { Comment, Recording } from '@prisma/client';
+import { PrismaService } from '../prisma/prisma.service';
+import { RecordingsService } from '../recordings/recordings.service';
+import {
+  CommentsQueryDto,
+  CreateCommentDto,
+  CreateReactionDto,
+} from './dto/comments.dto';
+
+const COMMENTS_PAGE_SIZE = 100;
+const REACTIONS_LIMIT = 1000;
+
+@Injectable()
+export class CommentsService {
+  constructor(
+    private prisma: PrismaService,
+    private recordingsService: RecordingsService,
+  ) {}
+
+  async getComments(
+    shareToken: string,
+    query: CommentsQueryDto,
+    viewerId?: string,
+    password?: string,
+  ) {
+    const recording = await this.recordingsService.getWatchableRecording(
+      shareToken,
+      viewerId,
+      password,
+    );
+
+    // Newest first so fresh feedback is always on the first page; the player can
+    // re-sort by timestamp. One extra row tells whether there's an older page.
+    const limit = query.limit ?? COMMENTS_PAGE_SIZE;
+    const comments = await this.prisma.comment.findMany({
+      where: { recordingId: recording.id },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+      ...(query.cursor && { cursor: { id: query.cursor }, skip: 1 }),
+    });
+
+    const page = comments.slice(0, limit);
+    return {
+      commentsEnabled: recording.commentsEnabled,
+      comments: page.map((c) => this.toComment(c, recording)),
+      nextCursor: comments.length > limit ? page[page.length - 1].id : null,
+    };
+  }
+
+  async createComment(
+    shareToken: string,
+    dto: CreateCommentDto,
+    viewerId?: string,
+    password?: string,
+  ) {
+    const recording = await this.getCommentableRecording(
+      shareToken,
+      viewerId,
+      password,
+    );
+
+    const body = dto.body.trim();
+    if (!body) {
+      throw new BadRequestException('Comment cannot be empty');
+    }
+
+    const authorName =
+      dto.authorName?.trim() || (await this.getDefaultAuthorName(viewerId));
+    if (!authorName) {
+      throw new BadRequestException('authorName is required');
+    }
+
+    const comment = await this.prisma.comment.create({
+      data: {
+        recordingId: recording.id,
+        userId: viewerId || null,
+        authorName,
+        body,
+        timestamp: dto.timestamp ?? null,
+      },
+    });
+
+    return this.toComment(comment, recording);
+  }
+
+  async deleteComment(userId: string, recordingId: string, commentId: string) {
+    await this.recordingsService.getOwnedRecording(userId, recordingId);
+
+    const { count } = await this.prisma.comment.deleteMany({
+      where: { id: commentId, recordingId },
+    });
+
+    if (count === 0) {
+      throw new NotFoundException('Comment not found');
+    }
+
+    return { message: 'Comment deleted' };
+  }
+
+  async getReactions(shareToken: string, viewerId?: string, password?: string) {
+    const recording = await this.recordingsService.getWatchableRecording(
+      shareToken,
+      viewerId,
+      password,
+    );
+
+    const [counts, reactions] = await Promise.all([
+      this.prisma.reaction.groupBy({
+        by: ['emoji'],
+        where: { recordingId: recording.id },
+        _count: { _all: true },
+      }),
+      // Only timestamped reactions can be placed on the timeline
+      this.prisma.reaction.findMany({
+        where: { recordingId: recording.id, timestamp: { not: null } },
+        orderBy: { timestamp: 'asc' },
+        take: REACTIONS_LIMIT,
+        select: { id: true, emoji: true, timestamp: true },
+      }),
+    ]);
+
+    return {
+      commentsEnabled: recording.commentsEnabled,
+      counts: counts.map((c) => ({ emoji: c.emoji, count: c._count._all })),
+      reactions,
+    };
+  }
+
+  async createReaction(
+    shareToken: string,
+    dto: CreateReactionDto,
+    viewerId?: string,
+    password?: string,
+  ) {
+    const recording = await this.getCommentableRecording(
+      shareToken,
+      viewerId,
+      password,
+    );
+
+    const reaction = await this.prisma.reaction.create({
+      data: {
+        recordingId: recording.id,
+        userId: viewerId || null,
+        emoji: dto.emoji,
+        timestamp: dto.timestamp ?? null,
+      },
+    });
+
+    return {
+      id: reaction.id,
+      emoji: reaction.emoji,
+      timestamp: reaction.timestamp,
+    };
+  }
+
+  // The owner can still reply after turning comments off for everyone else
+  private async getCommentableRecording(
+    shareToken: string,
+    viewerId?: string,
+    password?: string,
+  ) {
+    const recording = await this.recordingsService.getWatchableRecording(
+      shareToken,
+      viewerId,
+      password,
+    );
+
+    if (!recording.commentsEnabled && viewerId !== recording.userId) {
+      throw new ForbiddenException('Comments are turned off', {
+        description: 'COMMENTS_DISABLED',
+      });
+    }
+
+    return recording;
+  }
+
+  private async getDefaultAuthorName(viewerId?: string) {
+    if (!viewerId) return null;
+
+    const user = await this.prisma.user.findUnique({
+      where: { id: viewerId },
+      select: { email: true },
+    });
+    return user?.email.split('@')[0] || null;
+  }
+
+  // userId stays private; viewers only learn whether the owner wrote it
+  private toComment(comment: Comment, recording: Recording) {
+    return {
+      id: comment.id,
+      authorName: comment.authorName,
+      body: comment.body,
+      timestamp: comment.timestamp,
+      isOwner: !!comment.userId && comment.userId === recording.userId,
+      createdAt: comment.createdAt,
+    };
+  }
+}
@@ -0,0 +1,57 @@
+import { Type } from 'class-transformer';
+import {
+  IsString,
+  IsInt,
+  IsIn,
+  IsOptional,
+  IsNotEmpty,
+  IsUUID,
+  MaxLength,
+  Max,
+  Min,
+} from 'class-validator';
+
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '👎'];
+
+export class CreateCommentDto {
+  // Required for anonymous viewers; logged-in viewers default to their email name
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(50)
+  @IsOptional()
+  authorName?: string;
+
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(2000)
+  body: string;
+
+  @IsInt()
+  @Min(0)
+  @IsOptional()
+  timestamp?: number; // position in the video, in seconds
+}
+
+// Comments come newest first; pass the previous page's nextCursor for older ones
+export class CommentsQueryDto {
+  @IsUUID()
+  @IsOptional()
+  cursor?: string;
+
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  @IsOptional()
+  limit?: number;
+}
+
+export class CreateReactionDto {
+  @IsIn(REACTION_EMOJIS)
+  emoji: string;
+
+  @IsInt()
+  @Min(0)
+  @IsOptional()
+  timestamp?: number; // position in the video, in seconds
+}
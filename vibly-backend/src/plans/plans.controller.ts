@@ -0,0 +1,15 @@
+import { Controller, Get, UseGuards, Req } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+import { PlansService } from './plans.service';
+
+@Controller('api/me')
+@UseGuards(AuthGuard('jwt'))
+export class PlansController {
+  constructor(private plansService: PlansService) {}
+
+  // Plan limits and current usage, used by the extension to show and enforce limits
+  @Get('usage')
+  async getUsage(@Req() req: { user: { id: string } }) {
+    return this.plansService.getUsageReport(req.user.id);
+  }
+}
@@ -0,0 +1,259 @@
+import {
+  ForbiddenException,
+  NotFoundException,
+  PayloadTooLargeException,
+} from '@nestjs/common';
+import { PrismaService } from '../prisma/prisma.service';
+import { PLANS } from './plans';
+import { PlansService } from './plans.service';
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+const free = PLANS.free;
+
+describe('PlansService', () => {
+  let prisma: {
+    user: { findUnique: jest.Mock };
+    recording: { count: jest.Mock; aggregate: jest.Mock };
+    uploadSession: { count: jest.Mock };
+  };
+  let service: PlansService;
+
+  // Sets what the database reports for the user
+  function given({
+    tier = 'free',
+    recordings = 0,
+    storageBytes = 0,
+    activeUploads = 0,
+  }: {
+    tier?: 'free' | 'pro' | null;
+    recordings?: number;
+    storageBytes?: number;
+    activeUploads?: number;
+  }) {
+    prisma.user.findUnique.mockResolvedValue(
+      tier && { subscriptionTier: tier },
+    );
+    prisma.recording.count.mockResolvedValue(recordings);
+    prisma.recording.aggregate.mockResolvedValue({
+      _sum: { fileSize: storageBytes ? BigInt(storageBytes) : null },
+    });
+    prisma.uploadSession.count.mockResolvedValue(activeUploads);
+  }
+
+  beforeEach(() => {
+    prisma = {
+      user: { findUnique: jest.fn() },
+      recording: { count: jest.fn(), aggregate: jest.fn() },
+      uploadSession: { count: jest.fn() },
+    };
+    service = new PlansService(prisma as unknown as PrismaService);
+  });
+
+  describe('getUsage', () => {
+    it('counts storage as zero when there are no recordings', async () => {
+      given({});
+      await expect(service.getUsage('user-1')).resolves.toEqual({
+        recordings: 0,
+        storageBytes: 0,
+      });
+    });
+  });
+
+  describe('assertCanStartRecording', () => {
+    it('returns the plan limits when there is room', async () => {
+      given({ recordings: 2, storageBytes: 100 * MB, activeUploads: 1 });
+      await expect(
+        service.assertCanStartRecording('user-1', 50 * MB),
+      ).resolves.toEqual(free);
+    });
+
+    it('counts only live upload sessions', async () => {
+      given({});
+      await service.assertCanStartRecording('user-1', 1);
+      expect(prisma.uploadSession.count).toHaveBeenCalledWith({
+        where: {
+          userId: 'user-1',
+          status: 'uploading',
+          expiresAt: { gt: expect.any(Date) },
+        },
+      });
+    });
+
+    it('lets uploads in flight take a recording slot', async () => {
+      given({ recordings: free.maxRecordings - 1, activeUploads: 1 });
+      await expect(
+        service.assertCanStartRecording('user-1', 1),
+      ).rejects.toMatchObject({
+        constructor: ForbiddenException,
+        options: { description: 'RECORDING_LIMIT_REACHED' },
+      });
+    });
+
+    it('allows the last slot', async () => {
+      given({ recordings: free.maxRecordings - 2, activeUploads: 1 });
+      await expect(
+        service.assertCanStartRecording('user-1', 1),
+      ).resolves.toBeDefined();
+    });
+
+    it('does not limit recordings on pro', async () => {
+      given({ tier: 'pro', recordings: 1000, activeUploads: 10 });
+      await expect(
+        service.assertCanStartRecording('user-1', 1),
+      ).resolves.toEqual(PLANS.pro);
+    });
+
+    it('rejects an estimate above the file size limit', async () => {
+      given({});
+      await expect(
+        service.assertCanStartRecording('user-1', free.maxFileSizeBytes + 1),
+      ).rejects.toMatchObject({
+        constructor: PayloadTooLargeException,
+        options: { description: 'FILE_TOO_LARGE' },
+      });
+    });
+
+    it('rejects once storage is full', async () => {
+      given({ storageBytes: free.maxStorageBytes });
+      await expect(
+        service.assertCanStartRecording('user-1', 1),
+      ).rejects.toMatchObject({
+        options: { description: 'STORAGE_LIMIT_REACHED' },
+      });
+    });
+
+    it('rejects unknown users', async () => {
+      given({ tier: null });
+      await expect(
+        service.assertCanStartRecording('user-1', 1),
+      ).rejects.toBeInstanceOf(NotFoundException);
+    });
+  });
+
+  describe('assertUploadWithinLimits', () => {
+    it('allows up to 5 seconds over the duration limit', async () => {
+      given({});
+      await expect(
+        service.assertUploadWithinLimits(
+          'user-1',
+          MB,
+          free.maxDurationSeconds + 5,
+        ),
+      ).resolves.toEqual(free);
+    });
+
+    it('rejects anything longer than the grace', async () => {
+      given({});
+      await expect(
+        service.assertUploadWithinLimits(
+          'user-1',
+          MB,
+          free.maxDurationSeconds + 6,
+        ),
+      ).rejects.toMatchObject({
+        constructor: ForbiddenException,
+        options: { description: 'DURATION_LIMIT_EXCEEDED' },
+      });
+    });
+
+    it('rejects uploads above the file size limit', async () => {
+      given({});
+      await expect(
+        service.assertUploadWithinLimits(
+          'user-1',
+          free.maxFileSizeBytes + 1,
+          60,
+        ),
+      ).rejects.toMatchObject({
+        constructor: PayloadTooLargeException,
+        options: { description: 'FILE_TOO_LARGE' },
+      });
+    });
+
+    it('allows an upload that exactly fills the remaining storage', async () => {
+      given({ storageBytes: free.maxStorageBytes - 100 * MB });
+      await expect(
+        service.assertUploadWithinLimits('user-1', 100 * MB, 60),
+      ).resolves.toEqual(free);
+    });
+
+    it('rejects an upload that would overflow storage', async () => {
+      given({ storageBytes: free.maxStorageBytes - 100 * MB });
+      await expect(
+        service.assertUploadWithinLimits('user-1', 100 * MB + 1, 60),
+      ).rejects.toMatchObject({
+        constructor: ForbiddenException,
+        options: { description: 'STORAGE_LIMIT_REACHED' },
+      });
+    });
+
+    it('rejects once the recording limit is used up', async () => {
+      given({ recordings: free.maxRecordings });
+      await expect(
+        service.assertUploadWithinLimits('user-1', MB, 60),
+      ).rejects.toMatchObject({
+        constructor: ForbiddenException,
+        options: { description: 'RECORDING_LIMIT_REACHED' },
+      });
+    });
+
+    it('allows completing into the last recording slot', async () => {
+      given({ recordings: free.maxRecordings - 1, activeUploads: 3 });
+      await expect(
+        service.assertUploadWithinLimits('user-1', MB, 60),
+      ).resolves.toEqual(free);
+    });
+
+    it('does not limit completed recordings on pro', async () => {
+      given({ tier: 'pro', recordings: 1000 });
+      await expect(
+        service.assertUploadWithinLimits('user-1', MB, 60),
+      ).resolves.toEqual(PLANS.pro);
+    });
+
+    it('measures storage against the plan, not the file limit', async () => {
+      given({ tier: 'pro', storageBytes: 99 * GB });
+      await expect(
+        service.assertUploadWithinLimits('user-1', 2 * GB, 60),
+      ).rejects.toMatchObject({
+        options: { description: 'STORAGE_LIMIT_REACHED' },
+      });
+    });
+  });
+
+  describe('assertDurationWithinLimits', () => {
+    it('applies the same grace as at completion', async () => {
+      given({});
+      await expect(
+        service.assertDurationWithinLimits(
+          'user-1',
+          free.maxDurationSeconds + 5,
+        ),
+      ).resolves.toEqual(free);
+    });
+
+    it('rejects a probed duration over the plan limit', async () => {
+      given({});
+      await expect(
+        service.assertDurationWithinLimits(
+          'user-1',
+          free.maxDurationSeconds + 6,
+        ),
+      ).rejects.toMatchObject({
+        constructor: ForbiddenException,
+        options: { description: 'DURATION_LIMIT_EXCEEDED' },
+      });
+    });
+
+    it('uses the longer pro limit', async () => {
+      given({ tier: 'pro' });
+      await expect(
+        service.assertDurationWithinLimits(
+          'user-1',
+          PLANS.pro.maxDurationSeconds,
+        ),
+      ).resolves.toEqual(PLANS.pro);
+    });
+  });
+});
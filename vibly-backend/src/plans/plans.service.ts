@@ -0,0 +1,163 @@
+import {
+  Injectable,
+  NotFoundException,
+  ForbiddenException,
+  PayloadTooLargeException,
+} from '@nestjs/common';
+import { PrismaService } from '../prisma/prisma.service';
+import { PLANS, PlanLimits } from './plans';
+
+// The client's timer and MediaRecorder can disagree by a second or two
+const DURATION_GRACE_SECONDS = 5;
+
+@Injectable()
+export class PlansService {
+  constructor(private prisma: PrismaService) {}
+
+  async getPlan(userId: string) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: { subscriptionTier: true },
+    });
+
+    if (!user) {
+      throw new NotFoundException('User not found');
+    }
+
+    return {
+      tier: user.subscriptionTier,
+      limits: PLANS[user.subscriptionTier],
+    };
+  }
+
+  // Soft-deleted recordings are waiting for cleanup and no longer count
+  async getUsage(userId: string) {
+    const [recordings, storage] = await Promise.all([
+      this.prisma.recording.count({ where: { userId, deletedAt: null } }),
+      this.prisma.recording.aggregate({
+        where: { userId, deletedAt: null },
+        _sum: { fileSize: true },
+      }),
+    ]);
+
+    return {
+      recordings,
+      storageBytes: Number(storage._sum.fileSize ?? 0),
+    };
+  }
+
+  async getUsageReport(userId: string) {
+    const [{ tier, limits }, usage] = await Promise.all([
+      this.getPlan(userId),
+      this.getUsage(userId),
+    ]);
+    return { tier, limits, usage };
+  }
+
+  // Checked before a multipart upload is created
+  async assertCanStartRecording(
+    userId: string,
+    estimatedSize: number,
+  ): Promise<PlanLimits> {
+    const { tier, limits } = await this.getPlan(userId);
+
+    if (estimatedSize > limits.maxFileSizeBytes) {
+      throw new PayloadTooLargeException(
+        `Recordings are limited to ${formatBytes(limits.maxFileSizeBytes)} on the ${tier} plan`,
+        { description: 'FILE_TOO_LARGE' },
+      );
+    }
+
+    // Uploads still in flight will become recordings, so they take a slot too
+    const [usage, activeUploads] = await Promise.all([
+      this.getUsage(userId),
+      this.prisma.uploadSession.count({
+        where: { userId, status: 'uploading', expiresAt: { gt: new Date() } },
+      }),
+    ]);
+
+    if (
+      limits.maxRecordings !== null &&
+      usage.recordings + activeUploads >= limits.maxRecordings
+    ) {
+      throw new ForbiddenException(
+        `The ${tier} plan is limited to ${limits.maxRecordings} recordings`,
+        { description: 'RECORDING_LIMIT_REACHED' },
+      );
+    }
+
+    if (usage.storageBytes >= limits.maxStorageBytes) {
+      throw new ForbiddenException(
+        `Storage limit of ${formatBytes(limits.maxStorageBytes)} reached`,
+        { description: 'STORAGE_LIMIT_REACHED' },
+      );
+    }
+
+    return limits;
+  }
+
+  // Checked against the real upload before it becomes a recording
+  async assertUploadWithinLimits(
+    userId: string,
+    size: number,
+    duration: number,
+  ): Promise<PlanLimits> {
+    const { tier, limits } = await this.getPlan(userId);
+
+    assertDuration(tier, limits, duration);
+
+    if (size > limits.maxFileSizeBytes) {
+      throw new PayloadTooLargeException(
+        `Recordings are limited to ${formatBytes(limits.maxFileSizeBytes)} on the ${tier} plan`,
+        { description: 'FILE_TOO_LARGE' },
+      );
+    }
+
+    // Checked again here: lapsed sessions don't hold a slot at start, but can still complete
+    const usage = await this.getUsage(userId);
+    if (
+      limits.maxRecordings !== null &&
+      usage.recordings >= limits.maxRecordings
+    ) {
+      throw new ForbiddenException(
+        `The ${tier} plan is limited to ${limits.maxRecordings} recordings`,
+        { description: 'RECORDING_LIMIT_REACHED' },
+      );
+    }
+
+    if (usage.storageBytes + size > limits.maxStorageBytes) {
+      throw new ForbiddenException(
+        `This recording would exceed your storage limit of ${formatBytes(limits.maxStorageBytes)}`,
+        { description: 'STORAGE_LIMIT_REACHED' },
+      );
+    }
+
+    return limits;
+  }
+
+  // The client reports the duration at completion; processing checks the probed one
+  async assertDurationWithinLimits(
+    userId: string,
+    duration: number,
+  ): Promise<PlanLimits> {
+    const { tier, limits } = await this.getPlan(userId);
+    assertDuration(tier, limits, duration);
+    return limits;
+  }
+}
+
+function assertDuration(tier: string, limits: PlanLimits, duration: number) {
+  if (duration > limits.maxDurationSeconds + DURATION_GRACE_SECONDS) {
+    throw new ForbiddenException(
+      `Recordings are limited to ${limits.maxDurationSeconds / 60} minutes on the ${tier} plan`,
+      { description: 'DURATION_LIMIT_EXCEEDED' },
+    );
+  }
+}
+
+function formatBytes(bytes: number): string {
+  const gb = bytes / 1024 ** 3;
+  return gb >= 1
+    ? `${+gb.toFixed(1)} GB`
+    : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
@@ -0,0 +1,29 @@
+import { SubscriptionTier } from '@prisma/client';
+
+export interface PlanLimits {
+  maxRecordings: number | null; // null = unlimited
+  maxStorageBytes: number;
+  maxDurationSeconds: number;
+  maxFileSizeBytes: number;
+  retentionDays: number | null; // null = kept until deleted
+}
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+export const PLANS: Record<SubscriptionTier, PlanLimits> = {
+  free: {
+    maxRecordings: 5,
+    maxStorageBytes: 2 * GB,
+    maxDurationSeconds: 7 * 60,
+    maxFileSizeBytes: 500 * MB,
+    retentionDays: 30,
+  },
+  pro: {
+    maxRecordings: null,
+    maxStorageBytes: 100 * GB,
+    maxDurationSeconds: 60 * 60,
+    maxFileSizeBytes: 4 * GB,
+    retentionDays: null,
+  },
+};
@@ -0,0 +1,117 @@
+import { Injectable } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Remuxing is a copy and long recordings' sprites only decode keyframes
+const COMMAND_TIMEOUT_MS = 10 * 60 * 1000;
+
+export interface MediaInfo {
+  duration: number; // in seconds, 0 for still images
+  width: number;
+  height: number;
+}
+
+@Injectable()
+export class FfmpegService {
+  private ffmpegPath: string;
+  private ffprobePath: string;
+
+  constructor(private configService: ConfigService) {
+    this.ffmpegPath = this.configService.get('FFMPEG_PATH') || 'ffmpeg';
+    this.ffprobePath = this.configService.get('FFPROBE_PATH') || 'ffprobe';
+  }
+
+  // MediaRecorder writes WebM without duration or cues; a copy remux adds both
+  async remux(input: string, output: string): Promise<void> {
+    await this.ffmpeg(['-i', input, '-map', '0', '-c', 'copy', output]);
+  }
+
+  async probe(input: string): Promise<MediaInfo> {
+    const { stdout } = await execFileAsync(
+      this.ffprobePath,
+      [
+        '-v',
+        'error',
+        '-select_streams',
+        'v:0',
+        '-show_entries',
+        'stream=width,height:format=duration',
+        '-of',
+        'json',
+        input,
+      ],
+      { timeout: COMMAND_TIMEOUT_MS },
+    );
+
+    const info = JSON.parse(stdout);
+    const stream = info.streams?.[0];
+    if (!stream) {
+      throw new Error('No video stream found');
+    }
+
+    return {
+      duration: parseFloat(info.format?.duration) || 0,
+      width: stream.width,
+      height: stream.height,
+    };
+  }
+
+  async extractFrame(
+    input: string,
+    output: string,
+    atSeconds: number,
+    maxWidth: number,
+  ): Promise<void> {
+    await this.ffmpeg([
+      '-ss',
+      String(atSeconds),
+      '-i',
+      input,
+      '-frames:v',
+      '1',
+      '-vf',
+      `scale='min(${maxWidth},iw)':-2`,
+      '-q:v',
+      '3',
+      output,
+    ]);
+  }
+
+  // One frame every `interval` seconds, tiled left to right, top to bottom.
+  // keyframesOnly skips decoding everything else, taking the nearest keyframe for each tile.
+  async buildSprite(
+    input: string,
+    output: string,
+    layout: {
+      interval: number;
+      columns: number;
+      rows: number;
+      frameWidth: number;
+      keyframesOnly: boolean;
+    },
+  ): Promise<void> {
+    const { interval, columns, rows, frameWidth, keyframesOnly } = layout;
+    await this.ffmpeg([
+      ...(keyframesOnly ? ['-skip_frame', 'nokey'] : []),
+      '-i',
+      input,
+      '-an',
+      '-vf',
+      `fps=1/${interval},scale=${frameWidth}:-2,tile=${columns}x${rows}`,
+      '-frames:v',
+      '1',
+      '-q:v',
+      '5',
+      output,
+    ]);
+  }
+
+  private async ffmpeg(args: string[]): Promise<void> {
+    await execFileAsync(this.ffmpegPath, ['-v', 'error', '-y', ...args], {
+      timeout: COMMAND_TIMEOUT_MS,
+    });
+  }
+}
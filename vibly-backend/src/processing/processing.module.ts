@@ -0,0 +1,12 @@
+import { Module } from '@nestjs/common';
+import { ProcessingService } from './processing.service';
+import { FfmpegService } from './ffmpeg.service';
+import { StorageModule } from '../storage/storage.module';
+import { PlansModule } from '../plans/plans.module';
+
+@Module({
+  imports: [StorageModule, PlansModule],
+  providers: [ProcessingService, FfmpegService],
+  exports: [ProcessingService],
+})
+export class ProcessingModule {}
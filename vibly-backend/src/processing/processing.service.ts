@@ -0,0 +1,275 @@
+import { ForbiddenException, Injectable, Logger } from '@nestjs/common';
+import { Interval } from '@nestjs/schedule';
+import { Prisma, Recording } from '@prisma/client';
+import { mkdtemp, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PrismaService } from '../prisma/prisma.service';
+import { PlansService } from '../plans/plans.service';
+import { StorageDriver } from '../storage/storage.driver';
+import { FfmpegService } from './ffmpeg.service';
+
+const POLL_INTERVAL_MS = 30 * 1000;
+// A job whose lease is older than this is assumed abandoned and picked up again;
+// the worker renews it while the job runs, however long that takes
+const LEASE_MS = 15 * 60 * 1000;
+const LEASE_RENEWAL_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const POSTER_MAX_WIDTH = 1280;
+const SPRITE_FRAME_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_FRAMES = 100;
+// Sparser sprites only decode keyframes; the extension records one every 5 seconds
+const SPRITE_KEYFRAMES_ONLY_INTERVAL = 10;
+
+// Stored in Recording.thumbnailSprite; frame n covers [n * interval, (n + 1) * interval)
+export type ThumbnailSprite = {
+  path: string;
+  columns: number;
+  rows: number;
+  frameWidth: number;
+  frameHeight: number;
+  frameCount: number;
+  interval: number; // seconds between frames
+};
+
+// Recordings cleanup hasn't claimed: not deleted and within retention
+function live(now: Date): Prisma.RecordingWhereInput {
+  return {
+    deletedAt: null,
+    AND: [{ OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] }],
+  };
+}
+
+// Postgres is the queue: pending recordings are jobs, processingStartedAt is the lease
+@Injectable()
+export class ProcessingService {
+  private readonly logger = new Logger(ProcessingService.name);
+  private isDraining = false;
+
+  constructor(
+    private prisma: PrismaService,
+    private storage: StorageDriver,
+    private ffmpeg: FfmpegService,
+    private plansService: PlansService,
+  ) {}
+
+  // Called after an upload completes so the job doesn't wait for the next poll
+  enqueue() {
+    this.drain().catch((error) =>
+      this.logger.error(`Processing queue failed: ${error.message}`),
+    );
+  }
+
+  @Interval(POLL_INTERVAL_MS)
+  async handleInterval() {
+    await this.drain();
+  }
+
+  // One job at a time: ffmpeg is CPU-bound
+  private async drain() {
+    if (this.isDraining) return;
+
+    this.isDraining = true;
+    try {
+      let recording: Recording | null;
+      while ((recording = await this.claimNext())) {
+        await this.process(recording);
+      }
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  private async claimNext(): Promise<Recording | null> {
+    const now = new Date();
+    const claimable: Prisma.RecordingWhereInput = {
+      processingStatus: 'pending',
+      ...live(now),
+      OR: [
+        { processingStartedAt: null },
+        { processingStartedAt: { lt: new Date(now.getTime() - LEASE_MS) } },
+      ],
+    };
+
+    const next = await this.prisma.recording.findFirst({
+      where: claimable,
+      orderBy: { createdAt: 'asc' },
+      select: { id: true },
+    });
+
+    if (!next) return null;
+
+    // Another instance may have claimed it since the read
+    const { count } = await this.prisma.recording.updateMany({
+      where: { id: next.id, ...claimable },
+      data: {
+        processingStartedAt: new Date(),
+        processingAttempts: { increment: 1 },
+      },
+    });
+
+    if (count === 0) return this.claimNext();
+
+    return this.prisma.recording.findUnique({ where: { id: next.id } });
+  }
+
+  private async process(recording: Recording) {
+    const workDir = await mkdtemp(join(tmpdir(), 'vibly-'));
+    const leaseRenewal = setInterval(
+      () => this.renewLease(recording.id),
+      LEASE_RENEWAL_MS,
+    );
+
+    try {
+      const source = join(workDir, 'source.webm');
+      const remuxed = join(workDir, 'remuxed.webm');
+      await this.storage.downloadObject(recording.filePath, source);
+      await this.ffmpeg.remux(source, remuxed);
+
+      // The client's timer is only a hint; the remuxed file knows
+      const media = await this.ffmpeg.probe(remuxed);
+      const duration = Math.max(1, Math.round(media.duration));
+
+      try {
+        await this.plansService.assertDurationWithinLimits(
+          recording.userId,
+          duration,
+        );
+      } catch (error) {
+        if (!(error instanceof ForbiddenException)) throw error;
+        await this.reject(recording, error.message);
+        return;
+      }
+
+      const posterFile = join(workDir, 'poster.jpg');
+      const posterPath = `thumbnails/${recording.id}/poster.jpg`;
+      await this.ffmpeg.extractFrame(
+        remuxed,
+        posterFile,
+        Math.min(1, media.duration / 2),
+        POSTER_MAX_WIDTH,
+      );
+
+      const interval = Math.max(
+        1,
+        Math.ceil(media.duration / SPRITE_MAX_FRAMES),
+      );
+      const frameCount = Math.max(1, Math.ceil(media.duration / interval));
+      const columns = Math.min(SPRITE_COLUMNS, frameCount);
+      const rows = Math.ceil(frameCount / columns);
+      const spriteFile = join(workDir, 'sprite.jpg');
+      await this.ffmpeg.buildSprite(remuxed, spriteFile, {
+        interval,
+        columns,
+        rows,
+        frameWidth: SPRITE_FRAME_WIDTH,
+        keyframesOnly: interval >= SPRITE_KEYFRAMES_ONLY_INTERVAL,
+      });
+
+      // ffmpeg rounds the scaled height, so read the frame size back
+      const spriteImage = await this.ffmpeg.probe(spriteFile);
+      const sprite: ThumbnailSprite = {
+        path: `thumbnails/${recording.id}/sprite.jpg`,
+        columns,
+        rows,
+        frameWidth: spriteImage.width / columns,
+        frameHeight: spriteImage.height / rows,
+        frameCount,
+        interval,
+      };
+
+      // Deleted or expired while ffmpeg ran: cleanup owns it now, so don't write anything back
+      const stillLive = await this.prisma.recording.count({
+        where: { id: recording.id, ...live(new Date()) },
+      });
+      if (!stillLive) return;
+
+      await this.storage.uploadObject(posterPath, posterFile, 'image/jpeg');
+      await this.storage.uploadObject(sprite.path, spriteFile, 'image/jpeg');
+      // Same key, so share links keep working
+      await this.storage.uploadObject(
+        recording.filePath,
+        remuxed,
+        'video/webm',
+      );
+      const { size } = await stat(remuxed);
+
+      // updateMany: the recording may have been purged while we uploaded
+      const { count } = await this.prisma.recording.updateMany({
+        where: { id: recording.id },
+        data: {
+          processingStatus: 'ready',
+          processingStartedAt: null,
+          processingError: null,
+          duration,
+          fileSize: BigInt(size),
+          posterPath,
+          thumbnailSprite: sprite,
+        },
+      });
+
+      // Cleanup only knows the keys on the row, so these would never be removed
+      if (count === 0) {
+        await this.deleteObjects([posterPath, sprite.path, recording.filePath]);
+      }
+    } catch (error) {
+      const failed = recording.processingAttempts >= MAX_ATTEMPTS;
+      this.logger.warn(
+        `Processing ${recording.id} failed (attempt ${recording.processingAttempts}): ${error.message}`,
+      );
+
+      // Below the limit the lease is left to expire, which spaces out retries
+      await this.prisma.recording.updateMany({
+        where: { id: recording.id },
+        data: {
+          processingError: error.message,
+          ...(failed && {
+            processingStatus: 'failed',
+            processingStartedAt: null,
+          }),
+        },
+      });
+    } finally {
+      clearInterval(leaseRenewal);
+      await rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Over the plan's limits: soft-deleted so cleanup purges it and frees the quota
+  private async reject(recording: Recording, reason: string) {
+    this.logger.warn(`Rejecting ${recording.id}: ${reason}`);
+    await this.prisma.recording.updateMany({
+      where: { id: recording.id },
+      data: {
+        processingStatus: 'failed',
+        processingStartedAt: null,
+        processingError: reason,
+        deletedAt: new Date(),
+      },
+    });
+  }
+
+  private async deleteObjects(keys: string[]) {
+    for (const key of keys) {
+      try {
+        await this.storage.deleteObject(key);
+      } catch (error) {
+        this.logger.warn(`Could not delete orphaned ${key}: ${error.message}`);
+      }
+    }
+  }
+
+  private async renewLease(recordingId: string) {
+    try {
+      await this.prisma.recording.updateMany({
+        where: { id: recordingId, processingStatus: 'pending' },
+        data: { processingStartedAt: new Date() },
+      });
+    } catch (error) {
+      this.logger.warn(
+        `Could not renew the processing lease for ${recordingId}: ${error.message}`,
+      );
+    }
+  }
+}
@@ -1,10 +1,18 @@
 import {
   IsString,
   IsNumber,
+  IsInt,
+  IsBoolean,
+  IsDateString,
   IsOptional,
   IsArray,
+  ArrayNotEmpty,
+  ArrayMaxSize,
   ValidateNested,
   Min,
+  Max,
+  MinLength,
+  MaxLength,
 } from 'class-validator';
 import { Type } from 'class-transformer';
 
@@ -13,9 +21,21 @@ export class InitRecordingDto {
   @Min(1)
   estimatedSize: number; // in bytes
 
+  // Omit when parts are streamed during recording and requested on demand
   @IsNumber()
   @Min(1)
-  partCount: number;
+  @IsOptional()
+  partCount?: number;
+}
+
+export class PartUploadUrlsDto {
+  @IsArray()
+  @ArrayNotEmpty()
+  @ArrayMaxSize(20)
+  @IsInt({ each: true })
+  @Min(1, { each: true })
+  @Max(10000, { each: true }) // S3 part number limit
+  partNumbers: number[];
 }
 
 class PartDto {
@@ -40,3 +60,30 @@ export class CompleteRecordingDto {
   @IsOptional()
   title?: string;
 }
+
+export class UpdateRecordingDto {
+  @IsBoolean()
+  @IsOptional()
+  isPublic?: boolean;
+
+  // null clears the password
+  @IsString()
+  @MinLength(4)
+  @MaxLength(72) // bcrypt input limit
+  @IsOptional()
+  password?: string | null;
+
+  // null removes the link expiry
+  @IsDateString()
+  @IsOptional()
+  linkExpiresAt?: string | null;
+
+  @IsBoolean()
+  @IsOptional()
+  rotateShareToken?: boolean;
+
+  // Stops new comments and reactions from viewers; existing ones stay visible
+  @IsBoolean()
+  @IsOptional()
+  commentsEnabled?: boolean;
+}
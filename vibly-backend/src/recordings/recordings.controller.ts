@@ -2,15 +2,24 @@ import {
   Controller,
   Get,
   Post,
+  Patch,
   Delete,
   Body,
   Param,
+  Headers,
   UseGuards,
   Req,
 } from '@nestjs/common';
 import { AuthGuard } from '@nestjs/passport';
+import { Throttle, ThrottlerGuard } from '@nestjs/throttler';
+import { OptionalJwtAuthGuard } from '../auth/optional-jwt.guard';
 import { RecordingsService } from './recordings.service';
-import { InitRecordingDto, CompleteRecordingDto } from './dto/recordings.dto';
+import {
+  InitRecordingDto,
+  CompleteRecordingDto,
+  PartUploadUrlsDto,
+  UpdateRecordingDto,
+} from './dto/recordings.dto';
 
 @Controller('api')
 export class RecordingsController {
@@ -25,6 +34,38 @@ export class RecordingsController {
     return this.recordingsService.initRecording(req.user.id, dto);
   }
 
+  @Post('recordings/:id/parts')
+  @UseGuards(AuthGuard('jwt'))
+  async getPartUploadUrls(
+    @Req() req: { user: { id: string } },
+    @Param('id') recordingId: string,
+    @Body() dto: PartUploadUrlsDto,
+  ) {
+    return this.recordingsService.getPartUploadUrls(
+      req.user.id,
+      recordingId,
+      dto,
+    );
+  }
+
+  @Get('recordings/:id/parts')
+  @UseGuards(AuthGuard('jwt'))
+  async getUploadedParts(
+    @Req() req: { user: { id: string } },
+    @Param('id') recordingId: string,
+  ) {
+    return this.recordingsService.getUploadedParts(req.user.id, recordingId);
+  }
+
+  @Post('recordings/:id/keepalive')
+  @UseGuards(AuthGuard('jwt'))
+  async keepAliveSession(
+    @Req() req: { user: { id: string } },
+    @Param('id') recordingId: string,
+  ) {
+    return this.recordingsService.keepAliveSession(req.user.id, recordingId);
+  }
+
   @Post('recordings/:id/complete')
   @UseGuards(AuthGuard('jwt'))
   async completeRecording(
@@ -39,12 +80,35 @@ export class RecordingsController {
     );
   }
 
+  @Delete('recordings/:id/upload')
+  @UseGuards(AuthGuard('jwt'))
+  async abortUpload(
+    @Req() req: { user: { id: string } },
+    @Param('id') recordingId: string,
+  ) {
+    return this.recordingsService.abortUpload(req.user.id, recordingId);
+  }
+
   @Get('recordings')
   @UseGuards(AuthGuard('jwt'))
   async getUserRecordings(@Req() req: { user: { id: string } }) {
     return this.recordingsService.getUserRecordings(req.user.id);
   }
 
+  @Patch('recordings/:id')
+  @UseGuards(AuthGuard('jwt'))
+  async updateRecording(
+    @Req() req: { user: { id: string } },
+    @Param('id') recordingId: string,
+    @Body() dto: UpdateRecordingDto,
+  ) {
+    return this.recordingsService.updateRecording(
+      req.user.id,
+      recordingId,
+      dto,
+    );
+  }
+
   @Delete('recordings/:id')
   @UseGuards(AuthGuard('jwt'))
   async deleteRecording(
@@ -54,9 +118,19 @@ export class RecordingsController {
     return this.recordingsService.deleteRecording(req.user.id, recordingId);
   }
 
-  // Public endpoint - no auth required
+  // Public endpoint - auth optional, only needed for private recordings
   @Get('watch/:shareToken')
-  async watchRecording(@Param('shareToken') shareToken: string) {
-    return this.recordingsService.getRecordingByShareToken(shareToken);
+  @UseGuards(ThrottlerGuard, OptionalJwtAuthGuard)
+  @Throttle({ default: { limit: 20, ttl: 60000 } }) // limits password guessing
+  async watchRecording(
+    @Req() req: { user: { id: string } | null },
+    @Param('shareToken') shareToken: string,
+    @Headers('x-share-password') password?: string,
+  ) {
+    return this.recordingsService.getRecordingByShareToken(
+      shareToken,
+      req.user?.id,
+      password,
+    );
   }
 }
@@ -1,11 +1,14 @@
 import { Module } from '@nestjs/common';
 import { RecordingsController } from './recordings.controller';
 import { RecordingsService } from './recordings.service';
-import { R2Module } from '../r2/r2.module';
+import { StorageModule } from '../storage/storage.module';
+import { PlansModule } from '../plans/plans.module';
+import { ProcessingModule } from '../processing/processing.module';
 
 @Module({
-  imports: [R2Module],
+  imports: [StorageModule, PlansModule, ProcessingModule],
   controllers: [RecordingsController],
   providers: [RecordingsService],
+  exports: [RecordingsService],
 })
 export class RecordingsModule {}
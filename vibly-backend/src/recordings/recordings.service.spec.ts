@@ -0,0 +1,200 @@
+import {
+  ForbiddenException,
+  GoneException,
+  NotFoundException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import * as bcrypt from 'bcrypt';
+import { PlansService } from '../plans/plans.service';
+import { PrismaService } from '../prisma/prisma.service';
+import { ProcessingService } from '../processing/processing.service';
+import { StorageDriver } from '../storage/storage.driver';
+import { RecordingsService } from './recordings.service';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('RecordingsService', () => {
+  let prisma: { recording: { findUnique: jest.Mock } };
+  let service: RecordingsService;
+  let passwordHash: string;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash('open sesame', 4);
+  });
+
+  // Sets the recording the share token resolves to
+  function given(recording: Record<string, unknown> | null) {
+    prisma.recording.findUnique.mockResolvedValue(
+      recording && {
+        id: 'recording-1',
+        userId: 'owner',
+        shareToken: 'token',
+        isPublic: true,
+        passwordHash: null,
+        linkExpiresAt: null,
+        expiresAt: null,
+        deletedAt: null,
+        ...recording,
+      },
+    );
+  }
+
+  function rejectsWith(
+    promise: Promise<unknown>,
+    constructor: new (...args: never[]) => Error,
+    code: string,
+  ) {
+    return expect(promise).rejects.toMatchObject({
+      constructor,
+      options: { description: code },
+    });
+  }
+
+  beforeEach(() => {
+    prisma = { recording: { findUnique: jest.fn() } };
+    service = new RecordingsService(
+      prisma as unknown as PrismaService,
+      {} as StorageDriver,
+      {} as PlansService,
+      {} as ProcessingService,
+    );
+  });
+
+  describe('getWatchableRecording', () => {
+    it('returns a public recording to anyone', async () => {
+      given({});
+      await expect(service.getWatchableRecording('token')).resolves.toEqual(
+        expect.objectContaining({ id: 'recording-1' }),
+      );
+      expect(prisma.recording.findUnique).toHaveBeenCalledWith({
+        where: { shareToken: 'token' },
+      });
+    });
+
+    it('rejects an unknown share token', async () => {
+      given(null);
+      await rejectsWith(
+        service.getWatchableRecording('token'),
+        NotFoundException,
+        'RECORDING_NOT_FOUND',
+      );
+    });
+
+    it('hides deleted recordings, even from the owner', async () => {
+      given({ deletedAt: new Date() });
+      await rejectsWith(
+        service.getWatchableRecording('token', 'owner'),
+        NotFoundException,
+        'RECORDING_NOT_FOUND',
+      );
+    });
+
+    it('hides recordings past their retention, even from the owner', async () => {
+      given({ expiresAt: new Date(Date.now() - HOUR) });
+      await rejectsWith(
+        service.getWatchableRecording('token', 'owner'),
+        NotFoundException,
+        'RECORDING_EXPIRED',
+      );
+    });
+
+    it('returns recordings still within their retention', async () => {
+      given({ expiresAt: new Date(Date.now() + HOUR) });
+      await expect(service.getWatchableRecording('token')).resolves.toEqual(
+        expect.objectContaining({ id: 'recording-1' }),
+      );
+    });
+
+    describe('private recordings', () => {
+      beforeEach(() => given({ isPublic: false }));
+
+      it('reject anonymous viewers', async () => {
+        await rejectsWith(
+          service.getWatchableRecording('token'),
+          ForbiddenException,
+          'RECORDING_PRIVATE',
+        );
+      });
+
+      it('reject signed-in viewers other than the owner', async () => {
+        await rejectsWith(
+          service.getWatchableRecording('token', 'someone-else'),
+          ForbiddenException,
+          'RECORDING_PRIVATE',
+        );
+      });
+
+      it('are returned to the owner', async () => {
+        await expect(
+          service.getWatchableRecording('token', 'owner'),
+        ).resolves.toEqual(expect.objectContaining({ id: 'recording-1' }));
+      });
+    });
+
+    describe('expiring links', () => {
+      it('reject viewers once the link has expired', async () => {
+        given({ linkExpiresAt: new Date(Date.now() - HOUR) });
+        await rejectsWith(
+          service.getWatchableRecording('token', 'someone-else'),
+          GoneException,
+          'LINK_EXPIRED',
+        );
+      });
+
+      it('still work for the owner', async () => {
+        given({ linkExpiresAt: new Date(Date.now() - HOUR) });
+        await expect(
+          service.getWatchableRecording('token', 'owner'),
+        ).resolves.toEqual(expect.objectContaining({ id: 'recording-1' }));
+      });
+
+      it('work until they expire', async () => {
+        given({ linkExpiresAt: new Date(Date.now() + HOUR) });
+        await expect(service.getWatchableRecording('token')).resolves.toEqual(
+          expect.objectContaining({ id: 'recording-1' }),
+        );
+      });
+    });
+
+    describe('password-protected recordings', () => {
+      beforeEach(() => given({ passwordHash }));
+
+      it('ask for the password', async () => {
+        await rejectsWith(
+          service.getWatchableRecording('token'),
+          UnauthorizedException,
+          'PASSWORD_REQUIRED',
+        );
+      });
+
+      it('reject a wrong password', async () => {
+        await rejectsWith(
+          service.getWatchableRecording('token', undefined, 'guess'),
+          ForbiddenException,
+          'PASSWORD_INVALID',
+        );
+      });
+
+      it('accept the right password', async () => {
+        await expect(
+          service.getWatchableRecording('token', undefined, 'open sesame'),
+        ).resolves.toEqual(expect.objectContaining({ id: 'recording-1' }));
+      });
+
+      it('let the owner in without it', async () => {
+        await expect(
+          service.getWatchableRecording('token', 'owner'),
+        ).resolves.toEqual(expect.objectContaining({ id: 'recording-1' }));
+      });
+    });
+
+    it('checks privacy before the password', async () => {
+      given({ isPublic: false, passwordHash });
+      await rejectsWith(
+        service.getWatchableRecording('token', undefined, 'open sesame'),
+        ForbiddenException,
+        'RECORDING_PRIVATE',
+      );
+    });
+  });
+});
@@ -3,55 +3,62 @@ import {
   NotFoundException,
   ForbiddenException,
   BadRequestException,
+  ConflictException,
+  UnauthorizedException,
+  GoneException,
+  PayloadTooLargeException,
 } from '@nestjs/common';
+import { Prisma, Recording } from '@prisma/client';
+import * as bcrypt from 'bcrypt';
+import { randomInt } from 'crypto';
 import { v4 as uuid } from 'uuid';
 import { PrismaService } from '../prisma/prisma.service';
-import { R2Service } from '../r2/r2.service';
-import { InitRecordingDto, CompleteRecordingDto } from './dto/recordings.dto';
+import { StorageDriver } from '../storage/storage.driver';
+import { PlansService } from '../plans/plans.service';
+import { PlanLimits } from '../plans/plans';
+import {
+  ProcessingService,
+  ThumbnailSprite,
+} from '../processing/processing.service';
+import {
+  InitRecordingDto,
+  CompleteRecordingDto,
+  PartUploadUrlsDto,
+  UpdateRecordingDto,
+} from './dto/recordings.dto';
 
-const FREE_TIER_MAX_RECORDINGS = 5;
-const FREE_TIER_RETENTION_DAYS = 30;
+// Sliding window: extended every time the client requests part URLs, syncs or
+// sends a keep-alive (which it does while recording, covering pauses and slow parts)
+const UPLOAD_SESSION_TTL_MS = 15 * 60 * 1000;
+
+// How long a lapsed session can still be resumed or completed before cleanup aborts it
+export const UPLOAD_SESSION_GRACE_MS = 24 * 60 * 60 * 1000;
 
 @Injectable()
 export class RecordingsService {
   constructor(
     private prisma: PrismaService,
-    private r2Service: R2Service,
+    private storage: StorageDriver,
+    private plansService: PlansService,
+    private processingService: ProcessingService,
   ) {}
 
   async initRecording(userId: string, dto: InitRecordingDto) {
-    // Check recording limit for free tier
-    const user = await this.prisma.user.findUnique({
-      where: { id: userId },
-    });
-
-    if (user.subscriptionTier === 'free') {
-      const recordingCount = await this.prisma.recording.count({
-        where: { userId },
-      });
-
-      if (recordingCount >= FREE_TIER_MAX_RECORDINGS) {
-        throw new ForbiddenException(
-          `Free tier limited to ${FREE_TIER_MAX_RECORDINGS} recordings`,
-        );
-      }
-    }
+    await this.plansService.assertCanStartRecording(userId, dto.estimatedSize);
 
     const recordingId = uuid();
     const key = `recordings/${recordingId}.webm`;
 
     // Create multipart upload
-    const uploadId = await this.r2Service.createMultipartUpload(key);
+    const uploadId = await this.storage.createMultipartUpload(key);
 
-    // Generate presigned URLs for each part
-    const uploadUrls = await this.r2Service.getPresignedUploadUrls(
-      key,
-      uploadId,
-      dto.partCount,
-    );
+    // Generate presigned URLs up front only if the client knows the part count
+    const uploadUrls = dto.partCount
+      ? await this.storage.getPresignedUploadUrls(key, uploadId, dto.partCount)
+      : [];
 
     // Store upload session
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+    const expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
 
     await this.prisma.uploadSession.create({
       data: {
@@ -71,59 +78,173 @@ export class RecordingsService {
     };
   }
 
-  async completeRecording(
+  async getPartUploadUrls(
     userId: string,
     recordingId: string,
-    dto: CompleteRecordingDto,
+    dto: PartUploadUrlsDto,
   ) {
-    const session = await this.prisma.uploadSession.findUnique({
-      where: { recordingId },
+    // A lapsed session is revived: the multipart upload lives until cleanup aborts it
+    const session = await this.getActiveSession(userId, recordingId, {
+      allowLapsed: true,
     });
+    const key = `recordings/${recordingId}.webm`;
 
-    if (!session) {
-      throw new NotFoundException('Upload session not found');
-    }
+    const uploadUrls = await Promise.all(
+      dto.partNumbers.map(async (partNumber) => ({
+        partNumber,
+        url: await this.storage.getPresignedUploadUrl(
+          key,
+          session.uploadId,
+          partNumber,
+        ),
+      })),
+    );
 
-    if (session.userId !== userId) {
-      throw new ForbiddenException('Not authorized');
-    }
+    await this.prisma.uploadSession.update({
+      where: { id: session.id },
+      data: { expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS) },
+    });
 
-    if (session.status !== 'uploading') {
-      throw new BadRequestException('Upload session is not active');
-    }
+    return { recordingId, uploadUrls };
+  }
+
+  async keepAliveSession(userId: string, recordingId: string) {
+    const session = await this.getActiveSession(userId, recordingId, {
+      allowLapsed: true,
+    });
+    const expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+
+    await this.prisma.uploadSession.update({
+      where: { id: session.id },
+      data: { expiresAt },
+    });
+
+    return { recordingId, expiresAt };
+  }
+
+  async getUploadedParts(userId: string, recordingId: string) {
+    const session = await this.getActiveSession(userId, recordingId, {
+      allowLapsed: true,
+    });
+    const key = `recordings/${recordingId}.webm`;
+
+    // Storage is the source of truth; partsUploaded mirrors it for bookkeeping
+    const parts = await this.storage.listParts(key, session.uploadId);
+
+    await this.prisma.uploadSession.update({
+      where: { id: session.id },
+      data: {
+        partsUploaded: parts.length,
+        expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS),
+      },
+    });
+
+    return {
+      recordingId,
+      partsUploaded: parts.length,
+      parts,
+    };
+  }
+
+  // The client gave up on this upload; free its parts now rather than at cleanup
+  async abortUpload(userId: string, recordingId: string) {
+    const session = await this.getActiveSession(userId, recordingId, {
+      allowLapsed: true,
+    });
 
-    if (session.expiresAt < new Date()) {
-      throw new BadRequestException('Upload session expired');
+    try {
+      await this.storage.abortMultipartUpload(
+        `recordings/${recordingId}.webm`,
+        session.uploadId,
+      );
+    } catch (error) {
+      // Already completed or aborted on the storage side
+      if (error.name !== 'NoSuchUpload') throw error;
     }
 
+    await this.prisma.uploadSession.update({
+      where: { id: session.id },
+      data: { status: 'aborted' },
+    });
+
+    return { message: 'Upload aborted' };
+  }
+
+  async completeRecording(
+    userId: string,
+    recordingId: string,
+    dto: CompleteRecordingDto,
+  ) {
+    // A retry after a lost response gets the same recording, not a second upload
+    const existing = await this.prisma.recording.findFirst({
+      where: { id: recordingId, userId, deletedAt: null },
+    });
+    if (existing) return this.toCompletedUpload(existing);
+
+    const session = await this.getActiveSession(userId, recordingId, {
+      allowLapsed: true,
+    });
+
     const key = `recordings/${recordingId}.webm`;
 
+    // Measure what actually reached storage rather than trusting the client
+    const partNumbers = new Set(dto.parts.map((p) => p.partNumber));
+    const uploadedSize = (await this.storage.listParts(key, session.uploadId))
+      .filter((p) => partNumbers.has(p.partNumber))
+      .reduce((total, p) => total + p.size, 0);
+
+    let limits: PlanLimits;
+    try {
+      limits = await this.plansService.assertUploadWithinLimits(
+        userId,
+        uploadedSize,
+        dto.duration,
+      );
+    } catch (error) {
+      // Anything but a quota rejection (e.g. a database error) leaves the upload to be retried
+      const overQuota =
+        error instanceof ForbiddenException ||
+        error instanceof PayloadTooLargeException;
+      if (!overQuota) throw error;
+
+      // Over quota: nothing is kept, so the parts must not linger in storage
+      await this.storage.abortMultipartUpload(key, session.uploadId);
+      await this.prisma.uploadSession.update({
+        where: { id: session.id },
+        data: { status: 'aborted' },
+      });
+      throw error;
+    }
+
     // Complete multipart upload
     const parts = dto.parts.map((p) => ({
       PartNumber: p.partNumber,
       ETag: p.etag,
     }));
 
-    await this.r2Service.completeMultipartUpload(key, session.uploadId, parts);
+    try {
+      await this.storage.completeMultipartUpload(key, session.uploadId, parts);
+    } catch (error) {
+      // The client listed a part storage doesn't have; the session stays open to fix it
+      if (error.name !== 'InvalidPart' && error.name !== 'InvalidPartOrder') {
+        throw error;
+      }
+      throw new BadRequestException(error.message, {
+        description: 'INVALID_PART',
+      });
+    }
 
     // Get file size
-    const metadata = await this.r2Service.getObjectMetadata(key);
+    const metadata = await this.storage.getObjectMetadata(key);
     const fileSize = metadata?.contentLength || 0;
 
     // Generate share token
     const shareToken = this.generateShareToken();
 
-    // Calculate expiration for free tier
-    const user = await this.prisma.user.findUnique({
-      where: { id: userId },
-    });
-
-    const expiresAt =
-      user.subscriptionTier === 'free'
-        ? new Date(
-            Date.now() + FREE_TIER_RETENTION_DAYS * 24 * 60 * 60 * 1000,
-          )
-        : null;
+    // Plans with limited retention get an expiry; cleanup removes it afterwards
+    const expiresAt = limits.retentionDays
+      ? new Date(Date.now() + limits.retentionDays * 24 * 60 * 60 * 1000)
+      : null;
 
     // Create recording
     const recording = await this.prisma.recording.create({
@@ -143,12 +264,19 @@ export class RecordingsService {
     // Update upload session
     await this.prisma.uploadSession.update({
       where: { id: session.id },
-      data: { status: 'completed' },
+      data: { status: 'completed', partsUploaded: dto.parts.length },
     });
 
+    // Remux and thumbnails run in the background; the recording is playable meanwhile
+    this.processingService.enqueue();
+
+    return this.toCompletedUpload(recording);
+  }
+
+  private toCompletedUpload(recording: Recording) {
     return {
-      shareUrl: `${process.env.FRONTEND_URL}/v/${shareToken}`,
-      shareToken,
+      shareUrl: `${process.env.FRONTEND_URL}/v/${recording.shareToken}`,
+      shareToken: recording.shareToken,
       recording: {
         id: recording.id,
         title: recording.title,
@@ -158,92 +286,316 @@ export class RecordingsService {
     };
   }
 
+  // allowLapsed lets an interrupted upload be resumed and completed after a long break.
+  // The codes tell the client whether uploading again can help: only when the session
+  // is gone (SESSION_NOT_FOUND, SESSION_EXPIRED), not when it already became a recording.
+  private async getActiveSession(
+    userId: string,
+    recordingId: string,
+    { allowLapsed = false } = {},
+  ) {
+    const session = await this.prisma.uploadSession.findUnique({
+      where: { recordingId },
+    });
+
+    if (!session) {
+      throw new NotFoundException('Upload session not found', {
+        description: 'SESSION_NOT_FOUND',
+      });
+    }
+
+    if (session.userId !== userId) {
+      throw new ForbiddenException('Not authorized');
+    }
+
+    if (session.status === 'completed') {
+      throw new ConflictException('Upload session is already complete', {
+        description: 'SESSION_COMPLETED',
+      });
+    }
+
+    if (session.status === 'aborted') {
+      throw new GoneException('Upload session was aborted', {
+        description: 'SESSION_ABORTED',
+      });
+    }
+
+    const deadline =
+      session.expiresAt.getTime() + (allowLapsed ? UPLOAD_SESSION_GRACE_MS : 0);
+    if (session.status !== 'uploading' || deadline < Date.now()) {
+      throw new GoneException('Upload session expired', {
+        description: 'SESSION_EXPIRED',
+      });
+    }
+
+    return session;
+  }
+
   private generateShareToken(): string {
-    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    const chars =
+      'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
     let token = '';
     for (let i = 0; i < 12; i++) {
-      token += chars.charAt(Math.floor(Math.random() * chars.length));
+      token += chars.charAt(randomInt(chars.length));
     }
     return token;
   }
 
+  async getOwnedRecording(userId: string, recordingId: string) {
+    const recording = await this.prisma.recording.findUnique({
+      where: { id: recordingId },
+    });
+
+    if (!recording || recording.deletedAt) {
+      throw new NotFoundException('Recording not found');
+    }
+
+    if (recording.userId !== userId) {
+      throw new ForbiddenException('Not authorized');
+    }
+
+    return recording;
+  }
+
+  private toShareSettings(recording: Recording) {
+    return {
+      id: recording.id,
+      title: recording.title,
+      shareToken: recording.shareToken,
+      shareUrl: `${process.env.FRONTEND_URL}/v/${recording.shareToken}`,
+      isPublic: recording.isPublic,
+      hasPassword: !!recording.passwordHash,
+      linkExpiresAt: recording.linkExpiresAt,
+      commentsEnabled: recording.commentsEnabled,
+    };
+  }
+
   async getUserRecordings(userId: string) {
     const recordings = await this.prisma.recording.findMany({
-      where: { userId },
+      where: { userId, deletedAt: null },
       orderBy: { createdAt: 'desc' },
       select: {
         id: true,
         title: true,
         duration: true,
         shareToken: true,
-        viewCount: true,
+        isPublic: true,
+        passwordHash: true,
+        linkExpiresAt: true,
+        commentsEnabled: true,
+        processingStatus: true,
+        posterPath: true,
+        thumbnailSprite: true,
         createdAt: true,
         expiresAt: true,
+        _count: { select: { comments: true } },
       },
     });
 
-    return recordings.map((r) => ({
-      ...r,
-      shareUrl: `${process.env.FRONTEND_URL}/v/${r.shareToken}`,
-    }));
+    const viewStats = recordings.length
+      ? await this.prisma.$queryRaw<
+          { recordingId: string; views: number; uniqueViewers: number }[]
+        >`
+          SELECT
+            "recordingId",
+            COUNT(*)::int AS "views",
+            COUNT(DISTINCT "viewerKey")::int AS "uniqueViewers"
+          FROM "RecordingView"
+          WHERE "recordingId" IN (${Prisma.join(recordings.map((r) => r.id))})
+          GROUP BY "recordingId"
+        `
+      : [];
+    const statsById = new Map(viewStats.map((v) => [v.recordingId, v]));
+
+    return Promise.all(
+      recordings.map(
+        async ({ passwordHash, posterPath, thumbnailSprite, _count, ...r }) => {
+          const stats = statsById.get(r.id);
+          return {
+            ...r,
+            hasPassword: !!passwordHash,
+            thumbnails: await this.getThumbnails({
+              posterPath,
+              thumbnailSprite,
+            }),
+            views: stats?.views ?? 0,
+            uniqueViewers: stats?.uniqueViewers ?? 0,
+            comments: _count.comments,
+            shareUrl: `${process.env.FRONTEND_URL}/v/${r.shareToken}`,
+          };
+        },
+      ),
+    );
   }
 
-  async deleteRecording(userId: string, recordingId: string) {
-    const recording = await this.prisma.recording.findUnique({
-      where: { id: recordingId },
-    });
+  // null until processing has produced them
+  private async getThumbnails(recording: {
+    posterPath: string | null;
+    thumbnailSprite: Prisma.JsonValue;
+  }) {
+    if (!recording.posterPath || !recording.thumbnailSprite) {
+      return null;
+    }
 
-    if (!recording) {
-      throw new NotFoundException('Recording not found');
+    const { path, ...layout } =
+      recording.thumbnailSprite as unknown as ThumbnailSprite;
+
+    return {
+      posterUrl: await this.storage.getSignedDownloadUrl(
+        recording.posterPath,
+        3600,
+      ),
+      sprite: {
+        url: await this.storage.getSignedDownloadUrl(path, 3600),
+        ...layout,
+      },
+    };
+  }
+
+  async updateRecording(
+    userId: string,
+    recordingId: string,
+    dto: UpdateRecordingDto,
+  ) {
+    await this.getOwnedRecording(userId, recordingId);
+
+    const data: Prisma.RecordingUpdateInput = {};
+
+    if (dto.isPublic !== undefined) {
+      data.isPublic = dto.isPublic;
     }
 
-    if (recording.userId !== userId) {
-      throw new ForbiddenException('Not authorized');
+    if (dto.commentsEnabled !== undefined) {
+      data.commentsEnabled = dto.commentsEnabled;
     }
 
-    // Delete from R2
-    await this.r2Service.deleteObject(recording.filePath);
+    if (dto.password !== undefined) {
+      data.passwordHash = dto.password
+        ? await bcrypt.hash(dto.password, 10)
+        : null;
+    }
+
+    if (dto.linkExpiresAt !== undefined) {
+      const linkExpiresAt = dto.linkExpiresAt
+        ? new Date(dto.linkExpiresAt)
+        : null;
+
+      if (linkExpiresAt && linkExpiresAt <= new Date()) {
+        throw new BadRequestException('Link expiry must be in the future');
+      }
+
+      data.linkExpiresAt = linkExpiresAt;
+    }
 
-    // Delete from database
-    await this.prisma.recording.delete({
+    // Old links stop resolving as soon as the token changes
+    if (dto.rotateShareToken) {
+      data.shareToken = this.generateShareToken();
+    }
+
+    const recording = await this.prisma.recording.update({
       where: { id: recordingId },
+      data,
     });
 
-    return { message: 'Recording deleted' };
+    return this.toShareSettings(recording);
   }
 
-  async getRecordingByShareToken(shareToken: string) {
-    const recording = await this.prisma.recording.findUnique({
-      where: { shareToken },
+  async deleteRecording(userId: string, recordingId: string) {
+    await this.getOwnedRecording(userId, recordingId);
+
+    // Soft delete - the cleanup job removes the stored object and the row
+    await this.prisma.recording.update({
+      where: { id: recordingId },
+      data: { deletedAt: new Date() },
     });
 
-    if (!recording) {
-      throw new NotFoundException('Recording not found');
-    }
+    return { message: 'Recording deleted' };
+  }
 
-    if (recording.expiresAt && recording.expiresAt < new Date()) {
-      throw new NotFoundException('Recording has expired');
-    }
+  async getRecordingByShareToken(
+    shareToken: string,
+    viewerId?: string,
+    password?: string,
+  ) {
+    const recording = await this.getWatchableRecording(
+      shareToken,
+      viewerId,
+      password,
+    );
 
     // Generate signed URL for video
-    const videoUrl = await this.r2Service.getSignedDownloadUrl(
+    const videoUrl = await this.storage.getSignedDownloadUrl(
       recording.filePath,
       3600,
     );
 
-    // Increment view count (non-blocking)
-    this.prisma.recording
-      .update({
-        where: { id: recording.id },
-        data: { viewCount: { increment: 1 } },
-      })
-      .catch(() => {});
-
     return {
       title: recording.title,
       duration: recording.duration,
       videoUrl,
+      processingStatus: recording.processingStatus,
+      thumbnails: await this.getThumbnails(recording),
+      commentsEnabled: recording.commentsEnabled,
       createdAt: recording.createdAt,
     };
   }
+
+  // Applies the share-link access rules; also used by view tracking
+  async getWatchableRecording(
+    shareToken: string,
+    viewerId?: string,
+    password?: string,
+  ) {
+    const recording = await this.prisma.recording.findUnique({
+      where: { shareToken },
+    });
+
+    if (!recording || recording.deletedAt) {
+      throw new NotFoundException('Recording not found', {
+        description: 'RECORDING_NOT_FOUND',
+      });
+    }
+
+    if (recording.expiresAt && recording.expiresAt < new Date()) {
+      throw new NotFoundException('Recording has expired', {
+        description: 'RECORDING_EXPIRED',
+      });
+    }
+
+    // The owner can always watch their own recording
+    if (viewerId !== recording.userId) {
+      if (!recording.isPublic) {
+        throw new ForbiddenException('This recording is private', {
+          description: 'RECORDING_PRIVATE',
+        });
+      }
+
+      if (recording.linkExpiresAt && recording.linkExpiresAt < new Date()) {
+        throw new GoneException('Share link has expired', {
+          description: 'LINK_EXPIRED',
+        });
+      }
+
+      if (recording.passwordHash) {
+        if (!password) {
+          throw new UnauthorizedException('Password required', {
+            description: 'PASSWORD_REQUIRED',
+          });
+        }
+
+        const isPasswordValid = await bcrypt.compare(
+          password,
+          recording.passwordHash,
+        );
+
+        if (!isPasswordValid) {
+          throw new ForbiddenException('Incorrect password', {
+            description: 'PASSWORD_INVALID',
+          });
+        }
+      }
+    }
+
+    return recording;
+  }
 }
@@ -0,0 +1,76 @@
+import {
+  Controller,
+  Get,
+  Put,
+  Param,
+  Query,
+  Req,
+  Res,
+  ParseIntPipe,
+  ParseUUIDPipe,
+  ForbiddenException,
+  NotFoundException,
+} from '@nestjs/common';
+import { Request, Response } from 'express';
+import { StorageDriver } from './storage.driver';
+import { LocalStorageDriver } from './local-storage.driver';
+
+// Stands in for the bucket when STORAGE_DRIVER=local. Access is granted by the
+// signed URLs LocalStorageDriver hands out, not by the usual auth guards.
+@Controller('api/storage')
+export class LocalStorageController {
+  constructor(private storage: StorageDriver) {}
+
+  @Put('uploads/:uploadId/parts/:partNumber')
+  async uploadPart(
+    @Param('uploadId', ParseUUIDPipe) uploadId: string,
+    @Param('partNumber', ParseIntPipe) partNumber: number,
+    @Query('expires') expires: string,
+    @Query('signature') signature: string,
+    @Req() req: Request,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    const driver = this.getLocalDriver();
+    if (!driver.verifyUploadUrl(uploadId, partNumber, expires, signature)) {
+      throw new ForbiddenException('Invalid or expired upload URL');
+    }
+
+    try {
+      const etag = await driver.writePart(uploadId, partNumber, req);
+      // Same header S3 returns; the extension reads it to complete the upload
+      res.setHeader('ETag', `"${etag}"`);
+    } catch (error) {
+      if (error.name === 'NoSuchUpload') {
+        throw new NotFoundException('Upload not found');
+      }
+      throw error;
+    }
+  }
+
+  @Get('objects')
+  async getObject(
+    @Query('key') key: string,
+    @Query('expires') expires: string,
+    @Query('signature') signature: string,
+    @Res() res: Response,
+  ) {
+    const driver = this.getLocalDriver();
+    if (!key || !driver.verifyDownloadUrl(key, expires, signature)) {
+      throw new ForbiddenException('Invalid or expired download URL');
+    }
+
+    if (!(await driver.getObjectMetadata(key))) {
+      throw new NotFoundException('Object not found');
+    }
+
+    // sendFile handles Range requests, which video seeking relies on
+    res.sendFile(driver.objectPath(key), { dotfiles: 'allow' });
+  }
+
+  private getLocalDriver(): LocalStorageDriver {
+    if (!(this.storage instanceof LocalStorageDriver)) {
+      throw new NotFoundException();
+    }
+    return this.storage;
+  }
+}
@@ -0,0 +1,237 @@
+import { PayloadTooLargeException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { createHash } from 'crypto';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { LocalStorageDriver } from './local-storage.driver';
+
+function signedParams(url: string) {
+  const { searchParams } = new URL(url);
+  return {
+    expires: searchParams.get('expires'),
+    signature: searchParams.get('signature'),
+  };
+}
+
+describe('LocalStorageDriver', () => {
+  let root: string;
+  let driver: LocalStorageDriver;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'vibly-storage-'));
+    driver = new LocalStorageDriver(
+      new ConfigService({
+        LOCAL_STORAGE_DIR: root,
+        LOCAL_STORAGE_SECRET: 'test-secret',
+      }),
+    );
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await rm(root, { recursive: true, force: true });
+  });
+
+  describe('download URLs', () => {
+    const key = 'recordings/abc.webm';
+
+    it('accepts its own signature', async () => {
+      const { expires, signature } = signedParams(
+        await driver.getSignedDownloadUrl(key),
+      );
+      expect(driver.verifyDownloadUrl(key, expires, signature)).toBe(true);
+    });
+
+    it('rejects an expired URL', async () => {
+      const { expires, signature } = signedParams(
+        await driver.getSignedDownloadUrl(key, 60),
+      );
+      jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+      expect(driver.verifyDownloadUrl(key, expires, signature)).toBe(false);
+    });
+
+    it('rejects a signature for another key', async () => {
+      const { expires, signature } = signedParams(
+        await driver.getSignedDownloadUrl(key),
+      );
+      expect(
+        driver.verifyDownloadUrl('recordings/other.webm', expires, signature),
+      ).toBe(false);
+    });
+
+    it('rejects a tampered signature or expiry', async () => {
+      const { expires, signature } = signedParams(
+        await driver.getSignedDownloadUrl(key),
+      );
+      const flipped = (signature[0] === 'a' ? 'b' : 'a') + signature.slice(1);
+      expect(driver.verifyDownloadUrl(key, expires, flipped)).toBe(false);
+      expect(driver.verifyDownloadUrl(key, expires, '')).toBe(false);
+      expect(
+        driver.verifyDownloadUrl(
+          key,
+          String(Number(expires) + 3600),
+          signature,
+        ),
+      ).toBe(false);
+    });
+
+    it('rejects URLs signed with another secret', async () => {
+      const other = new LocalStorageDriver(
+        new ConfigService({ LOCAL_STORAGE_DIR: root, JWT_SECRET: 'other' }),
+      );
+      const { expires, signature } = signedParams(
+        await other.getSignedDownloadUrl(key),
+      );
+      expect(driver.verifyDownloadUrl(key, expires, signature)).toBe(false);
+    });
+  });
+
+  describe('upload URLs', () => {
+    it('only accept the part they were signed for', async () => {
+      const uploadId = await driver.createMultipartUpload('recordings/a.webm');
+      const { expires, signature } = signedParams(
+        await driver.getPresignedUploadUrl('recordings/a.webm', uploadId, 1),
+      );
+      expect(driver.verifyUploadUrl(uploadId, 1, expires, signature)).toBe(
+        true,
+      );
+      expect(driver.verifyUploadUrl(uploadId, 2, expires, signature)).toBe(
+        false,
+      );
+    });
+  });
+
+  describe('multipart uploads', () => {
+    const key = 'recordings/abc.webm';
+    const md5 = (data: string) => createHash('md5').update(data).digest('hex');
+    let uploadId: string;
+
+    beforeEach(async () => {
+      uploadId = await driver.createMultipartUpload(key);
+    });
+
+    it('returns the MD5 of each part as its ETag', async () => {
+      await expect(
+        driver.writePart(uploadId, 1, Readable.from(['hello'])),
+      ).resolves.toBe(md5('hello'));
+    });
+
+    it('lists written parts in part order', async () => {
+      await driver.writePart(uploadId, 2, Readable.from(['world']));
+      await driver.writePart(uploadId, 1, Readable.from(['hi, ']));
+
+      await expect(driver.listParts(key, uploadId)).resolves.toEqual([
+        { partNumber: 1, etag: md5('hi, '), size: 4 },
+        { partNumber: 2, etag: md5('world'), size: 5 },
+      ]);
+    });
+
+    it('replaces a part that is written again', async () => {
+      await driver.writePart(uploadId, 1, Readable.from(['first']));
+      await driver.writePart(uploadId, 1, Readable.from(['second']));
+
+      await expect(driver.listParts(key, uploadId)).resolves.toEqual([
+        { partNumber: 1, etag: md5('second'), size: 6 },
+      ]);
+    });
+
+    it('joins the parts by part number, whatever order they are listed in', async () => {
+      const second = await driver.writePart(uploadId, 2, Readable.from(['b']));
+      const first = await driver.writePart(uploadId, 1, Readable.from(['a']));
+
+      await driver.completeMultipartUpload(key, uploadId, [
+        { PartNumber: 2, ETag: `"${second}"` },
+        { PartNumber: 1, ETag: first },
+      ]);
+
+      await expect(readFile(driver.objectPath(key), 'utf8')).resolves.toBe(
+        'ab',
+      );
+      await expect(driver.listParts(key, uploadId)).rejects.toMatchObject({
+        name: 'NoSuchUpload',
+      });
+    });
+
+    it('leaves out parts that are not listed', async () => {
+      const first = await driver.writePart(uploadId, 1, Readable.from(['a']));
+      await driver.writePart(uploadId, 2, Readable.from(['b']));
+
+      await driver.completeMultipartUpload(key, uploadId, [
+        { PartNumber: 1, ETag: first },
+      ]);
+
+      await expect(readFile(driver.objectPath(key), 'utf8')).resolves.toBe('a');
+    });
+
+    it('rejects a part whose ETag does not match', async () => {
+      await driver.writePart(uploadId, 1, Readable.from(['a']));
+
+      await expect(
+        driver.completeMultipartUpload(key, uploadId, [
+          { PartNumber: 1, ETag: md5('something else') },
+        ]),
+      ).rejects.toMatchObject({ name: 'InvalidPart' });
+      await expect(driver.getObjectMetadata(key)).resolves.toBeNull();
+    });
+
+    it('rejects a part that was never uploaded', async () => {
+      const first = await driver.writePart(uploadId, 1, Readable.from(['a']));
+
+      await expect(
+        driver.completeMultipartUpload(key, uploadId, [
+          { PartNumber: 1, ETag: first },
+          { PartNumber: 2, ETag: first },
+        ]),
+      ).rejects.toMatchObject({ name: 'InvalidPart' });
+    });
+
+    it('rejects a part over the size limit without keeping any of it', async () => {
+      // The same 51MB chunk twice goes past the 100MB limit
+      const chunk = Buffer.alloc(51 * 1024 * 1024);
+
+      await expect(
+        driver.writePart(uploadId, 1, Readable.from([chunk, chunk])),
+      ).rejects.toBeInstanceOf(PayloadTooLargeException);
+      await expect(driver.listParts(key, uploadId)).resolves.toEqual([]);
+      await expect(readdir(join(root, 'uploads', uploadId))).resolves.toEqual([
+        'key',
+      ]);
+    });
+
+    it('refuses parts for an unknown or aborted upload', async () => {
+      await driver.abortMultipartUpload(key, uploadId);
+
+      await expect(
+        driver.writePart(uploadId, 1, Readable.from(['a'])),
+      ).rejects.toMatchObject({ name: 'NoSuchUpload' });
+      await expect(
+        driver.writePart('missing', 1, Readable.from(['a'])),
+      ).rejects.toMatchObject({ name: 'NoSuchUpload' });
+    });
+  });
+
+  describe('objectPath', () => {
+    it('resolves keys inside the objects directory', () => {
+      expect(driver.objectPath('recordings/abc.webm')).toBe(
+        join(root, 'objects', 'recordings', 'abc.webm'),
+      );
+    });
+
+    it.each(['../secret', 'recordings/../../secret', '/etc/passwd', '..', ''])(
+      'rejects %p',
+      (key) => {
+        expect(() => driver.objectPath(key)).toThrow(
+          expect.objectContaining({ name: 'InvalidKey' }),
+        );
+      },
+    );
+
+    it('refuses to start an upload for an escaping key', async () => {
+      await expect(
+        driver.createMultipartUpload('../outside.webm'),
+      ).rejects.toMatchObject({ name: 'InvalidKey' });
+    });
+  });
+});
@@ -0,0 +1,277 @@
+import { PayloadTooLargeException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { createHash, createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import {
+  copyFile,
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  rm,
+  stat,
+  writeFile,
+} from 'fs/promises';
+import { dirname, join, resolve, sep } from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { StorageDriver, StoredPart } from './storage.driver';
+
+// Parts are 5MB from the extension; anything far bigger isn't a recording part
+const MAX_PART_BYTES = 100 * 1024 * 1024;
+const UPLOAD_URL_TTL_SECONDS = 15 * 60;
+
+// Error names match S3's so callers can treat both drivers alike
+function storageError(name: string, message: string): Error {
+  return Object.assign(new Error(message), { name });
+}
+
+// Stores objects on disk under LOCAL_STORAGE_DIR and serves them through
+// LocalStorageController, with HMAC-signed, expiring URLs in place of S3 presigning.
+//
+//   <dir>/objects/<key>                        finished objects
+//   <dir>/uploads/<uploadId>/key               object key of a multipart upload
+//   <dir>/uploads/<uploadId>/<n>, <n>.etag     uploaded parts and their MD5
+export class LocalStorageDriver extends StorageDriver {
+  private root: string;
+  private publicUrl: string;
+  private secret: string;
+
+  constructor(private configService: ConfigService) {
+    super();
+    this.root = resolve(
+      this.configService.get('LOCAL_STORAGE_DIR') || './storage',
+    );
+    this.publicUrl =
+      this.configService.get('LOCAL_STORAGE_PUBLIC_URL') ||
+      `http://localhost:${this.configService.get('PORT') || 3000}`;
+    this.secret =
+      this.configService.get('LOCAL_STORAGE_SECRET') ||
+      this.configService.get('JWT_SECRET');
+
+    if (!this.secret) {
+      throw new Error('LOCAL_STORAGE_SECRET is required for local storage');
+    }
+  }
+
+  async createMultipartUpload(key: string): Promise<string> {
+    this.objectPath(key); // reject bad keys before any upload starts
+    const uploadId = randomUUID();
+    await mkdir(this.uploadPath(uploadId), { recursive: true });
+    await writeFile(join(this.uploadPath(uploadId), 'key'), key);
+    return uploadId;
+  }
+
+  async getPresignedUploadUrl(
+    key: string,
+    uploadId: string,
+    partNumber: number,
+  ): Promise<string> {
+    const expires = this.expiresAt(UPLOAD_URL_TTL_SECONDS);
+    const signature = this.sign(['PUT', uploadId, String(partNumber), expires]);
+    return `${this.publicUrl}/api/storage/uploads/${uploadId}/parts/${partNumber}?expires=${expires}&signature=${signature}`;
+  }
+
+  verifyUploadUrl(
+    uploadId: string,
+    partNumber: number,
+    expires: string,
+    signature: string,
+  ): boolean {
+    return this.verify(
+      ['PUT', uploadId, String(partNumber), expires],
+      expires,
+      signature,
+    );
+  }
+
+  // Called by LocalStorageController with the raw request body; returns the part's ETag
+  async writePart(
+    uploadId: string,
+    partNumber: number,
+    body: Readable,
+  ): Promise<string> {
+    await this.getUploadKey(uploadId);
+
+    const target = join(this.uploadPath(uploadId), String(partNumber));
+    const temp = `${target}.${randomUUID()}.tmp`;
+    const hash = createHash('md5');
+    let size = 0;
+
+    const meter = new Transform({
+      transform(chunk: Buffer, _encoding, callback) {
+        size += chunk.length;
+        if (size > MAX_PART_BYTES) {
+          callback(new PayloadTooLargeException('Part is too large'));
+          return;
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(body, meter, createWriteStream(temp));
+    } catch (error) {
+      await rm(temp, { force: true });
+      throw error;
+    }
+
+    // The part only counts once it's in place, so write its ETag first
+    const etag = hash.digest('hex');
+    await writeFile(`${target}.etag`, etag);
+    await rename(temp, target);
+    return etag;
+  }
+
+  async completeMultipartUpload(
+    key: string,
+    uploadId: string,
+    parts: { PartNumber: number; ETag: string }[],
+  ): Promise<void> {
+    await this.getUploadKey(uploadId);
+    const stored = await this.listParts(key, uploadId);
+
+    for (const part of parts) {
+      const match = stored.find((p) => p.partNumber === part.PartNumber);
+      if (!match || match.etag !== part.ETag.replace(/"/g, '')) {
+        throw storageError(
+          'InvalidPart',
+          `Part ${part.PartNumber} is missing or its ETag does not match`,
+        );
+      }
+    }
+
+    const destination = this.objectPath(key);
+    const temp = `${destination}.${randomUUID()}.tmp`;
+    await mkdir(dirname(destination), { recursive: true });
+
+    const output = createWriteStream(temp);
+    try {
+      for (const part of [...parts].sort(
+        (a, b) => a.PartNumber - b.PartNumber,
+      )) {
+        await pipeline(
+          createReadStream(
+            join(this.uploadPath(uploadId), String(part.PartNumber)),
+          ),
+          output,
+          { end: false },
+        );
+      }
+      await new Promise<void>((done, fail) =>
+        output.end((error?: Error) => (error ? fail(error) : done())),
+      );
+    } catch (error) {
+      output.destroy();
+      await rm(temp, { force: true });
+      throw error;
+    }
+
+    await rename(temp, destination);
+    await rm(this.uploadPath(uploadId), { recursive: true, force: true });
+  }
+
+  async abortMultipartUpload(key: string, uploadId: string): Promise<void> {
+    await this.getUploadKey(uploadId);
+    await rm(this.uploadPath(uploadId), { recursive: true, force: true });
+  }
+
+  async listParts(key: string, uploadId: string): Promise<StoredPart[]> {
+    await this.getUploadKey(uploadId);
+    const dir = this.uploadPath(uploadId);
+    const parts: StoredPart[] = [];
+
+    for (const name of await readdir(dir)) {
+      if (!/^\d+$/.test(name)) continue;
+      const [etag, info] = await Promise.all([
+        readFile(join(dir, `${name}.etag`), 'utf8'),
+        stat(join(dir, name)),
+      ]);
+      parts.push({ partNumber: Number(name), etag, size: info.size });
+    }
+
+    return parts.sort((a, b) => a.partNumber - b.partNumber);
+  }
+
+  async getSignedDownloadUrl(key: string, expiresIn = 3600): Promise<string> {
+    const expires = this.expiresAt(expiresIn);
+    const signature = this.sign(['GET', key, expires]);
+    return `${this.publicUrl}/api/storage/objects?key=${encodeURIComponent(key)}&expires=${expires}&signature=${signature}`;
+  }
+
+  verifyDownloadUrl(key: string, expires: string, signature: string): boolean {
+    return this.verify(['GET', key, expires], expires, signature);
+  }
+
+  async getObjectMetadata(
+    key: string,
+  ): Promise<{ contentLength: number } | null> {
+    try {
+      const info = await stat(this.objectPath(key));
+      return { contentLength: info.size };
+    } catch {
+      return null;
+    }
+  }
+
+  async deleteObject(key: string): Promise<void> {
+    await rm(this.objectPath(key), { force: true });
+  }
+
+  async downloadObject(key: string, destination: string): Promise<void> {
+    await copyFile(this.objectPath(key), destination);
+  }
+
+  async uploadObject(key: string, source: string): Promise<void> {
+    const destination = this.objectPath(key);
+    const temp = `${destination}.${randomUUID()}.tmp`;
+    await mkdir(dirname(destination), { recursive: true });
+    await copyFile(source, temp);
+    await rename(temp, destination);
+  }
+
+  // Absolute path of an object, refusing keys that would escape the objects directory
+  objectPath(key: string): string {
+    const objectsDir = join(this.root, 'objects');
+    const path = resolve(objectsDir, key);
+    if (!path.startsWith(objectsDir + sep)) {
+      throw storageError('InvalidKey', `Invalid object key: ${key}`);
+    }
+    return path;
+  }
+
+  private uploadPath(uploadId: string): string {
+    return join(this.root, 'uploads', uploadId);
+  }
+
+  private async getUploadKey(uploadId: string): Promise<string> {
+    try {
+      return await readFile(join(this.uploadPath(uploadId), 'key'), 'utf8');
+    } catch {
+      throw storageError('NoSuchUpload', `Upload ${uploadId} does not exist`);
+    }
+  }
+
+  private expiresAt(seconds: number): string {
+    return String(Math.floor(Date.now() / 1000) + seconds);
+  }
+
+  private sign(fields: string[]): string {
+    return createHmac('sha256', this.secret)
+      .update(fields.join('\n'))
+      .digest('hex');
+  }
+
+  private verify(fields: string[], expires: string, signature: string) {
+    if (!/^\d+$/.test(expires) || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(fields));
+    const provided = Buffer.from(signature || '');
+    return (
+      provided.length === expected.length && timingSafeEqual(provided, expected)
+    );
+  }
+}
@@ -1,23 +1,30 @@
-import { Injectable } from '@nestjs/common';
 import { ConfigService } from '@nestjs/config';
+import { createReadStream, createWriteStream } from 'fs';
+import { stat } from 'fs/promises';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import {
   S3Client,
   CreateMultipartUploadCommand,
   CompleteMultipartUploadCommand,
   AbortMultipartUploadCommand,
   UploadPartCommand,
+  ListPartsCommand,
   GetObjectCommand,
+  PutObjectCommand,
   DeleteObjectCommand,
   HeadObjectCommand,
 } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { StorageDriver, StoredPart } from './storage.driver';
 
-@Injectable()
-export class R2Service {
+// Cloudflare R2 (or any S3-compatible store) configured from R2_* env vars
+export class R2StorageDriver extends StorageDriver {
   private s3Client: S3Client;
   private bucketName: string;
 
   constructor(private configService: ConfigService) {
+    super();
     this.s3Client = new S3Client({
       region: 'auto',
       endpoint: this.configService.get('R2_ENDPOINT'),
@@ -55,19 +62,6 @@ export class R2Service {
     return getSignedUrl(this.s3Client, command, { expiresIn: 900 }); // 15 min
   }
 
-  async getPresignedUploadUrls(
-    key: string,
-    uploadId: string,
-    partCount: number,
-  ): Promise<string[]> {
-    const urls = await Promise.all(
-      Array.from({ length: partCount }, (_, i) =>
-        this.getPresignedUploadUrl(key, uploadId, i + 1),
-      ),
-    );
-    return urls;
-  }
-
   async completeMultipartUpload(
     key: string,
     uploadId: string,
@@ -83,6 +77,34 @@ export class R2Service {
     await this.s3Client.send(command);
   }
 
+  async listParts(key: string, uploadId: string): Promise<StoredPart[]> {
+    const parts: StoredPart[] = [];
+    let partNumberMarker: string | undefined;
+
+    do {
+      const command = new ListPartsCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: partNumberMarker,
+      });
+
+      const response = await this.s3Client.send(command);
+      for (const part of response.Parts || []) {
+        parts.push({
+          partNumber: part.PartNumber,
+          etag: part.ETag.replace(/"/g, ''),
+          size: part.Size || 0,
+        });
+      }
+      partNumberMarker = response.IsTruncated
+        ? response.NextPartNumberMarker
+        : undefined;
+    } while (partNumberMarker);
+
+    return parts;
+  }
+
   async abortMultipartUpload(key: string, uploadId: string): Promise<void> {
     const command = new AbortMultipartUploadCommand({
       Bucket: this.bucketName,
@@ -102,6 +124,33 @@ export class R2Service {
     return getSignedUrl(this.s3Client, command, { expiresIn });
   }
 
+  async downloadObject(key: string, destination: string): Promise<void> {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+    });
+
+    const response = await this.s3Client.send(command);
+    await pipeline(response.Body as Readable, createWriteStream(destination));
+  }
+
+  async uploadObject(
+    key: string,
+    source: string,
+    contentType: string,
+  ): Promise<void> {
+    const { size } = await stat(source);
+    const command = new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      Body: createReadStream(source),
+      ContentLength: size,
+      ContentType: contentType,
+    });
+
+    await this.s3Client.send(command);
+  }
+
   async getObjectMetadata(
     key: string,
   ): Promise<{ contentLength: number } | null> {
@@ -0,0 +1,61 @@
+export interface StoredPart {
+  partNumber: number;
+  etag: string; // without quotes
+  size: number;
+}
+
+// Object storage as the app uses it: S3-style multipart uploads straight from the
+// client, signed downloads, and whole-object reads/writes for processing.
+// Chosen with STORAGE_DRIVER (see storage.module.ts). Abstract class so Nest can inject it.
+export abstract class StorageDriver {
+  abstract createMultipartUpload(key: string): Promise<string>;
+
+  // Clients PUT the part body to this URL and read the ETag response header
+  abstract getPresignedUploadUrl(
+    key: string,
+    uploadId: string,
+    partNumber: number,
+  ): Promise<string>;
+
+  abstract completeMultipartUpload(
+    key: string,
+    uploadId: string,
+    parts: { PartNumber: number; ETag: string }[],
+  ): Promise<void>;
+
+  // Throws an error named NoSuchUpload when the upload is already gone
+  abstract abortMultipartUpload(key: string, uploadId: string): Promise<void>;
+
+  abstract listParts(key: string, uploadId: string): Promise<StoredPart[]>;
+
+  abstract getSignedDownloadUrl(
+    key: string,
+    expiresIn?: number,
+  ): Promise<string>;
+
+  abstract getObjectMetadata(
+    key: string,
+  ): Promise<{ contentLength: number } | null>;
+
+  abstract deleteObject(key: string): Promise<void>;
+
+  abstract downloadObject(key: string, destination: string): Promise<void>;
+
+  abstract uploadObject(
+    key: string,
+    source: string,
+    contentType: string,
+  ): Promise<void>;
+
+  async getPresignedUploadUrls(
+    key: string,
+    uploadId: string,
+    partCount: number,
+  ): Promise<string[]> {
+    return Promise.all(
+      Array.from({ length: partCount }, (_, i) =>
+        this.getPresignedUploadUrl(key, uploadId, i + 1),
+      ),
+    );
+  }
+}
@@ -0,0 +1,23 @@
+import { Module } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { StorageDriver } from './storage.driver';
+import { R2StorageDriver } from './r2-storage.driver';
+import { LocalStorageDriver } from './local-storage.driver';
+import { LocalStorageController } from './local-storage.controller';
+
+@Module({
+  controllers: [LocalStorageController],
+  providers: [
+    {
+      provide: StorageDriver,
+      inject: [ConfigService],
+      // STORAGE_DRIVER=local keeps files on this server; anything else uses R2
+      useFactory: (configService: ConfigService) =>
+        configService.get('STORAGE_DRIVER') === 'local'
+          ? new LocalStorageDriver(configService)
+          : new R2StorageDriver(configService),
+    },
+  ],
+  exports: [StorageDriver],
+})
+export class StorageModule {}
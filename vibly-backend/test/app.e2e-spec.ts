@@ -1,24 +1,135 @@
 import { Test, TestingModule } from '@nestjs/testing';
-import { INestApplication } from '@nestjs/common';
+import { INestApplication, ValidationPipe } from '@nestjs/common';
+import { createHash, randomUUID } from 'crypto';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import * as request from 'supertest';
 import { AppModule } from './../src/app.module';
+import { PrismaService } from './../src/prisma/prisma.service';
+import { ProcessingService } from './../src/processing/processing.service';
 
-describe('AppController (e2e)', () => {
+// Needs a migrated database in DATABASE_URL; storage stays on local disk, so no R2 is involved
+describe('Recording upload with local storage (e2e)', () => {
   let app: INestApplication;
+  let prisma: PrismaService;
+  let storageDir: string;
+  let accessToken: string;
+  const email = `e2e-${randomUUID()}@example.com`;
+
+  // Signed URLs are absolute; supertest only wants the path
+  const pathOf = (url: string) => {
+    const { pathname, search } = new URL(url);
+    return pathname + search;
+  };
+
+  beforeAll(async () => {
+    storageDir = await mkdtemp(join(tmpdir(), 'vibly-e2e-'));
+    process.env.STORAGE_DRIVER = 'local';
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+    process.env.JWT_SECRET ||= 'e2e-jwt-secret';
 
-  beforeEach(async () => {
     const moduleFixture: TestingModule = await Test.createTestingModule({
       imports: [AppModule],
-    }).compile();
+    })
+      // ffmpeg isn't part of this test; recordings simply stay pending
+      .overrideProvider(ProcessingService)
+      .useValue({ enqueue: jest.fn() })
+      .compile();
 
     app = moduleFixture.createNestApplication();
+    app.useGlobalPipes(
+      new ValidationPipe({ whitelist: true, transform: true }),
+    );
     await app.init();
+    prisma = app.get(PrismaService);
+
+    const { body } = await request(app.getHttpServer())
+      .post('/api/auth/register')
+      .send({ email, password: 'e2e-password' })
+      .expect(201);
+    accessToken = body.accessToken;
+  });
+
+  afterAll(async () => {
+    await prisma?.user.deleteMany({ where: { email } });
+    await app?.close();
+    await rm(storageDir, { recursive: true, force: true });
+  });
+
+  it('uploads, completes and serves a recording', async () => {
+    const server = app.getHttpServer();
+    const video = Buffer.from('not really a webm, but storage does not care');
+    const md5 = createHash('md5').update(video).digest('hex');
+
+    const init = await request(server)
+      .post('/api/recordings/init')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ estimatedSize: video.length })
+      .expect(201);
+    const { recordingId } = init.body;
+
+    const urls = await request(server)
+      .post(`/api/recordings/${recordingId}/parts`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ partNumbers: [1] })
+      .expect(201);
+    const [{ url: partUrl }] = urls.body.uploadUrls;
+
+    const part = await request(server)
+      .put(pathOf(partUrl))
+      .set('Content-Type', 'video/webm')
+      .send(video)
+      .expect(200);
+    expect(part.headers.etag).toBe(`"${md5}"`);
+
+    const parts = await request(server)
+      .get(`/api/recordings/${recordingId}/parts`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(parts.body.parts).toEqual([
+      { partNumber: 1, etag: md5, size: video.length },
+    ]);
+
+    const complete = await request(server)
+      .post(`/api/recordings/${recordingId}/complete`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        parts: [{ partNumber: 1, etag: part.headers.etag }],
+        duration: 3,
+      })
+      .expect(201);
+
+    const watch = await request(server)
+      .get(`/api/watch/${complete.body.shareToken}`)
+      .expect(200);
+
+    const download = await request(server)
+      .get(pathOf(watch.body.videoUrl))
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks: Buffer[] = [];
+        res.on('data', (chunk: Buffer) => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(Buffer.compare(download.body, video)).toBe(0);
+
+    // The signature covers the key, so it can't be reused for another object
+    const tampered = pathOf(watch.body.videoUrl).replace(
+      recordingId,
+      randomUUID(),
+    );
+    await request(server).get(tampered).expect(403);
   });
 
-  it('/ (GET)', () => {
-    return request(app.getHttpServer())
-      .get('/')
-      .expect(200)
-      .expect('Hello World!');
+  it('rejects part uploads with a bad signature', async () => {
+    await request(app.getHttpServer())
+      .put(
+        `/api/storage/uploads/${randomUUID()}/parts/1?expires=9999999999&signature=bad`,
+      )
+      .set('Content-Type', 'video/webm')
+      .send(Buffer.from('x'))
+      .expect(403);
   });
 });
@@ -1,26 +1,351 @@
+import { apiClient } from '@/utils/api-client';
+import { Uploader, storageUploadStore, type InterruptedUpload, type UploadApi } from '@/utils/uploader';
+import { GUEST_RECORDING_LIMITS, RecordingState, type RecordingLimits } from '@/utils/constants';
+import { getQuotaError, getRecordingLimits } from '@/utils/limits';
+import {
+  IDLE_STATUS,
+  loadRecordingOptions,
+  onMessage,
+  sendMessage,
+  type BubbleMessage,
+  type ContentMessage,
+  type ControlMessage,
+  type PickerMessage,
+  type RecorderMessage,
+  type RecorderStatus,
+  type StartResult,
+} from '@/utils/messages';
+
+const OFFSCREEN_URL = 'offscreen.html';
+const PICKER_URL = '/picker.html';
+const BUBBLE_SCRIPT = '/content-scripts/webcam-bubble.js';
+const UPLOAD_API_METHODS: (keyof UploadApi)[] = [
+  'initRecording',
+  'getPartUploadUrls',
+  'getUploadedParts',
+  'keepAlive',
+  'abortUpload',
+  'completeRecording',
+];
+const ACTIVE_STATES = [RecordingState.RECORDING, RecordingState.PAUSED];
+const BUSY_STATES = [...ACTIVE_STATES, RecordingState.PROCESSING, RecordingState.UPLOADING];
+const SCREEN_DENIED_MESSAGE = 'Screen access denied. Click to try again.';
+
+// A start waiting on the screen picker window, kept in session storage in case the worker is suspended
+interface PendingStart {
+  windowId: number;
+  limits: RecordingLimits;
+  upload: boolean;
+}
+
 export default defineBackground(() => {
-  let recordingState = {
-    isRecording: false,
-    isPaused: false,
-    startTime: null as number | null,
-  };
+  let status: RecorderStatus = { ...IDLE_STATUS };
+  let bubbleTabId: number | null = null;
+  let pendingStart: PendingStart | null = null;
+
+  // The service worker is suspended when idle; keep the status across restarts
+  const restored = browser.storage.session.get(['recorderStatus', 'bubbleTabId', 'pendingStart']).then((result) => {
+    if (result.recorderStatus) status = result.recorderStatus as RecorderStatus;
+    if (typeof result.bubbleTabId === 'number') bubbleTabId = result.bubbleTabId;
+    if (result.pendingStart) pendingStart = result.pendingStart as PendingStart;
+  });
+
+  // Finishes uploads left behind by a recorder that went away mid-session
+  const interruptedUploader = new Uploader(apiClient, storageUploadStore);
+
+  async function updateStatus(patch: Partial<RecorderStatus>) {
+    status = { ...status, ...patch };
+    await browser.storage.session.set({ recorderStatus: status });
+    updateBadge();
+    if (!ACTIVE_STATES.includes(status.state)) await removeWebcamBubble();
+    // Fails when the popup is closed, which is fine
+    sendMessage({ target: 'popup', type: 'STATUS', status }).catch(() => {});
+  }
+
+  function updateBadge() {
+    const isActive = ACTIVE_STATES.includes(status.state);
+    browser.action.setBadgeText({ text: isActive ? formatBadgeTime(status.elapsedSeconds) : '' });
+    if (isActive) {
+      browser.action.setBadgeBackgroundColor({
+        color: status.state === RecordingState.PAUSED ? '#888888' : '#e74c3c',
+      });
+    }
+  }
+
+  function formatBadgeTime(seconds: number): string {
+    const mins = Math.floor(seconds / 60);
+    if (mins >= 10) return `${mins}m`;
+    return `${mins}:${(seconds % 60).toString().padStart(2, '0')}`;
+  }
+
+  function handleError(error: any) {
+    console.error('[Vibly] Recorder error:', error);
+    updateStatus({ state: RecordingState.ERROR, errorMessage: error.message || 'Something went wrong.' });
+  }
+
+  async function hasOffscreenDocument(): Promise<boolean> {
+    const contexts = await browser.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    return contexts.length > 0;
+  }
+
+  async function ensureOffscreenDocument() {
+    if (await hasOffscreenDocument()) return;
+    await browser.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['USER_MEDIA', 'DISPLAY_MEDIA', 'BLOBS'],
+      justification: 'Records the screen and webcam while the popup is closed',
+    });
+  }
+
+  // chooseDesktopMedia is refused from the service worker, so a small extension window asks instead
+  // and answers with SCREEN_CHOSEN. Its stream id is only usable by this extension's own pages.
+  async function openScreenPicker(limits: RecordingLimits, upload: boolean) {
+    if (pendingStart) {
+      // Already asking; bring the picker back rather than opening a second one
+      const focused = await browser.windows.update(pendingStart.windowId, { focused: true }).then(
+        () => true,
+        () => false
+      );
+      if (focused) return;
+    }
+
+    const pickerWindow = await browser.windows.create({
+      url: browser.runtime.getURL(PICKER_URL),
+      type: 'popup',
+      width: 420,
+      height: 240,
+      focused: true,
+    });
+    pendingStart = { windowId: pickerWindow!.id!, limits, upload };
+    await browser.storage.session.set({ pendingStart });
+  }
+
+  async function takePendingStart(): Promise<PendingStart | null> {
+    const pending = pendingStart;
+    pendingStart = null;
+    await browser.storage.session.remove('pendingStart');
+    return pending;
+  }
+
+  async function handleScreenChosen(streamId: string, canRequestAudioTrack: boolean) {
+    const pending = await takePendingStart();
+    if (!pending) return;
+    if (!streamId) {
+      await updateStatus({ state: RecordingState.ERROR, errorMessage: SCREEN_DENIED_MESSAGE });
+      return;
+    }
+    await launchRecorder(streamId, canRequestAudioTrack, pending.limits, pending.upload);
+  }
+
+  // The bubble only marks where the camera goes; the compositor draws the real one.
+  // Chrome brings a tab to the front when it's picked for capture, so the active tab is the captured one.
+  async function showWebcamBubble() {
+    const [tab] = await browser.tabs.query({ active: true, lastFocusedWindow: true, windowType: 'normal' });
+    if (!tab?.id) return;
+    try {
+      await browser.scripting.executeScript({ target: { tabId: tab.id }, files: [BUBBLE_SCRIPT] });
+      bubbleTabId = tab.id;
+      await browser.storage.session.set({ bubbleTabId });
+    } catch (error) {
+      // Browser pages and the web store can't be scripted; the corner position still applies
+      console.warn('[Vibly] Could not show the webcam bubble:', error);
+    }
+  }
+
+  async function removeWebcamBubble() {
+    if (bubbleTabId === null) return;
+    const message: ContentMessage = { target: 'content', type: 'REMOVE_BUBBLE' };
+    // The tab may have closed or navigated away, taking the bubble with it
+    await browser.tabs.sendMessage(bubbleTabId, message).catch(() => {});
+    bubbleTabId = null;
+    await browser.storage.session.remove('bubbleTabId');
+  }
+
+  async function moveWebcam(x: number, y: number) {
+    if (!ACTIVE_STATES.includes(status.state)) return;
+    await sendMessage({ target: 'offscreen', type: 'WEBCAM_POSITION', x, y });
+  }
+
+  async function getStatus(): Promise<RecorderStatus> {
+    // The offscreen document can go away under us (crash, extension reload)
+    if ((BUSY_STATES.includes(status.state) || status.hasRecording) && !(await hasOffscreenDocument())) {
+      await updateStatus(BUSY_STATES.includes(status.state) ? { ...IDLE_STATUS } : { hasRecording: false });
+    }
 
-  browser.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (status.state === RecordingState.IDLE) {
+      const hasInterruptedUpload = !!(await storageUploadStore.load());
+      if (hasInterruptedUpload !== status.hasInterruptedUpload) await updateStatus({ hasInterruptedUpload });
+    }
+    return status;
+  }
+
+  async function startRecording() {
+    if (BUSY_STATES.includes(status.state)) return;
+    if (status.state !== RecordingState.IDLE) await resetRecorder();
+
+    await apiClient.whenReady();
+    const upload = apiClient.isAuthenticated();
+    let limits = GUEST_RECORDING_LIMITS;
+    if (upload) {
+      // Offline is fine: the recording uploads later and the server enforces the plan then
+      const plan = await apiClient.getUsage().catch((error) => {
+        console.warn('[Vibly] Could not load plan limits:', error);
+        return null;
+      });
+      const quotaError = plan && getQuotaError(plan);
+      if (quotaError) {
+        await updateStatus({ state: RecordingState.ERROR, errorMessage: quotaError });
+        return;
+      }
+      if (plan) limits = getRecordingLimits(plan);
+    }
+
+    const options = await loadRecordingOptions();
+    if (options.webcam && options.layout.mode === 'camera-only') {
+      await launchRecorder(null, false, limits, upload);
+    } else {
+      await openScreenPicker(limits, upload);
+    }
+  }
+
+  async function launchRecorder(
+    streamId: string | null,
+    withSystemAudio: boolean,
+    limits: RecordingLimits,
+    upload: boolean
+  ) {
+    const options = await loadRecordingOptions();
+    await ensureOffscreenDocument();
+    const { started, displaySurface } = await sendMessage<StartResult>({
+      target: 'offscreen',
+      type: 'START',
+      streamId,
+      withSystemAudio,
+      options,
+      limits,
+      upload,
+    });
+
+    // The bubble lives in a page, so it only lines up with the recording when a tab is captured;
+    // on a screen or window capture it would be recorded as well, away from the real camera
+    if (started && displaySurface === 'browser' && options.webcam && options.layout.mode === 'overlay') {
+      await showWebcamBubble();
+    }
+  }
+
+  async function sendToRecorder(type: 'PAUSE' | 'RESUME' | 'STOP' | 'RETRY_UPLOAD') {
+    if (!(await hasOffscreenDocument())) throw new Error('No recording in progress');
+    await sendMessage({ target: 'offscreen', type });
+  }
+
+  async function downloadRecording() {
+    const url = await sendMessage<string | null>({ target: 'offscreen', type: 'DOWNLOAD' });
+    if (!url) throw new Error('No recording to download');
+    await browser.downloads.download({ url, filename: `vibly-recording-${Date.now()}.webm` });
+  }
+
+  async function resetRecorder() {
+    if (await hasOffscreenDocument()) {
+      await sendMessage({ target: 'offscreen', type: 'RESET' });
+      await browser.offscreen.closeDocument();
+    }
+    await updateStatus({ ...IDLE_STATUS });
+  }
+
+  async function saveInterruptedUpload() {
+    const interrupted = await interruptedUploader.getInterruptedUpload();
+    if (!interrupted) return;
+
+    await updateStatus({ ...IDLE_STATUS, state: RecordingState.UPLOADING });
+    try {
+      const result = await interruptedUploader.finishInterrupted(
+        interrupted,
+        `Recording ${new Date().toLocaleDateString()}`
+      );
+      await updateStatus({ state: RecordingState.COMPLETE, shareUrl: result.shareUrl });
+    } catch (error: any) {
+      await updateStatus({
+        state: RecordingState.ERROR,
+        errorMessage: `Couldn't save the interrupted recording: ${error.message}`,
+      });
+    }
+  }
+
+  // Proxies the offscreen uploader's backend calls; only apiClient here has token storage
+  function callApi(method: string, args: unknown[]): Promise<unknown> {
+    if (!UPLOAD_API_METHODS.includes(method as keyof UploadApi)) {
+      throw new Error(`Unknown API method: ${method}`);
+    }
+    const api = apiClient as unknown as Record<string, (...args: unknown[]) => Promise<unknown>>;
+    return api[method](...args);
+  }
+
+  onMessage<ControlMessage | RecorderMessage | BubbleMessage | PickerMessage>('background', async (message) => {
+    await restored;
     switch (message.type) {
-      case 'GET_STATE':
-        sendResponse(recordingState);
-        break;
-      case 'SET_RECORDING':
-        recordingState.isRecording = message.isRecording;
-        recordingState.startTime = message.isRecording ? Date.now() : null;
-        sendResponse({ success: true });
-        break;
-      case 'SET_PAUSED':
-        recordingState.isPaused = message.isPaused;
-        sendResponse({ success: true });
-        break;
-    }
-    return true;
+      case 'STATUS':
+        return getStatus();
+      case 'START':
+        // The screen picker outlives the popup, so don't tie the response to it
+        startRecording().catch(handleError);
+        return;
+      case 'SCREEN_CHOSEN':
+        // The picker window closes as soon as it hears back
+        handleScreenChosen(message.streamId, message.canRequestAudioTrack).catch(handleError);
+        return;
+      case 'PAUSE':
+      case 'RESUME':
+      case 'STOP':
+      case 'RETRY_UPLOAD':
+        return sendToRecorder(message.type);
+      case 'DOWNLOAD':
+        return downloadRecording();
+      case 'RESET':
+        return resetRecorder();
+      case 'SAVE_INTERRUPTED':
+        return saveInterruptedUpload();
+      case 'DISCARD_INTERRUPTED':
+        await interruptedUploader.discard();
+        return updateStatus({ hasInterruptedUpload: false });
+      case 'RECORDER_UPDATE':
+        return updateStatus(message.status);
+      case 'API_CALL':
+        return callApi(message.method, message.args);
+      case 'WEBCAM_POSITION':
+        return moveWebcam(message.x, message.y);
+      case 'UPLOAD_STORE':
+        if (message.action === 'load') return storageUploadStore.load();
+        if (message.action === 'save') return storageUploadStore.save(message.upload as InterruptedUpload);
+        return storageUploadStore.clear();
+    }
+  });
+
+  // Closing the picker window without choosing counts as cancelling it
+  browser.windows.onRemoved.addListener(async (windowId) => {
+    await restored;
+    if (pendingStart?.windowId !== windowId) return;
+    await takePendingStart();
+    await updateStatus({ state: RecordingState.ERROR, errorMessage: SCREEN_DENIED_MESSAGE });
+  });
+
+  browser.commands.onCommand.addListener(async (command) => {
+    await restored;
+    try {
+      switch (command) {
+        case 'start-recording':
+          await startRecording();
+          break;
+        case 'toggle-pause':
+          if (status.state === RecordingState.RECORDING) await sendToRecorder('PAUSE');
+          else if (status.state === RecordingState.PAUSED) await sendToRecorder('RESUME');
+          break;
+        case 'stop-recording':
+          if (ACTIVE_STATES.includes(status.state)) await sendToRecorder('STOP');
+          break;
+      }
+    } catch (error) {
+      handleError(error);
+    }
   });
 
   console.log('[Vibly] Background service worker loaded');
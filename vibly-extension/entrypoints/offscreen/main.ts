@@ -0,0 +1,296 @@
+import { MediaHandler } from '@/utils/media-handler';
+import { Compositor } from '@/utils/compositor';
+import {
+  Uploader,
+  isUploadSessionGone,
+  type InterruptedUpload,
+  type UploadApi,
+  type UploadStore,
+} from '@/utils/uploader';
+import { RecordingState, VIDEO_BITRATE, type RecordingLimits } from '@/utils/constants';
+import {
+  onMessage,
+  sendMessage,
+  type OffscreenMessage,
+  type RecorderStatus,
+  type RecordingOptions,
+  type StartResult,
+} from '@/utils/messages';
+
+// Runs capture, compositing, recording and upload so they survive the popup closing.
+// Offscreen documents only get runtime messaging, so API calls and storage go through the background.
+
+function callApi<T>(method: keyof UploadApi, args: unknown[]): Promise<T> {
+  return sendMessage<T>({ target: 'background', type: 'API_CALL', method, args });
+}
+
+const backgroundApi: UploadApi = {
+  initRecording: (...args) => callApi('initRecording', args),
+  getPartUploadUrls: (...args) => callApi('getPartUploadUrls', args),
+  getUploadedParts: (...args) => callApi('getUploadedParts', args),
+  keepAlive: (...args) => callApi('keepAlive', args),
+  abortUpload: (...args) => callApi('abortUpload', args),
+  completeRecording: (...args) => callApi('completeRecording', args),
+};
+
+const backgroundStore: UploadStore = {
+  load: () => sendMessage<InterruptedUpload | null>({ target: 'background', type: 'UPLOAD_STORE', action: 'load' }),
+  save: (upload) => sendMessage({ target: 'background', type: 'UPLOAD_STORE', action: 'save', upload }),
+  clear: () => sendMessage({ target: 'background', type: 'UPLOAD_STORE', action: 'clear' }),
+};
+
+// Leaves room for the chunks still flushed when recording stops
+const SIZE_HEADROOM_BYTES = (VIDEO_BITRATE / 8) * 2;
+
+const mediaHandler = new MediaHandler();
+const compositor = new Compositor();
+const uploader = new Uploader(backgroundApi, backgroundStore);
+
+let state = RecordingState.IDLE;
+let recordingBlob: Blob | null = null;
+let shouldUpload = false;
+let limits: RecordingLimits | null = null;
+let recordedBytes = 0;
+let timerInterval: number | null = null;
+let recordedMs = 0;
+let resumedAt: number | null = null;
+
+function report(status: Partial<RecorderStatus>) {
+  if (status.state) state = status.state;
+  sendMessage({ target: 'background', type: 'RECORDER_UPDATE', status }).catch((error) =>
+    console.warn('[Vibly] Failed to report recorder status:', error)
+  );
+}
+
+function elapsedSeconds(): number {
+  const running = resumedAt ? Date.now() - resumedAt : 0;
+  return Math.floor((recordedMs + running) / 1000);
+}
+
+async function startRecording(
+  streamId: string | null,
+  withSystemAudio: boolean,
+  options: RecordingOptions,
+  recordingLimits: RecordingLimits,
+  upload: boolean
+): Promise<StartResult> {
+  if (state !== RecordingState.IDLE) throw new Error('A recording is already in progress');
+  shouldUpload = upload;
+  limits = recordingLimits;
+  recordedBytes = 0;
+  const cameraOnly = options.webcam && options.layout.mode === 'camera-only';
+
+  try {
+    const screenStream = streamId ? await mediaHandler.requestDesktopCapture(streamId, withSystemAudio) : null;
+
+    if (screenStream) {
+      screenStream.getVideoTracks()[0].onended = () => {
+        if (state === RecordingState.RECORDING || state === RecordingState.PAUSED) stopRecording();
+      };
+    }
+
+    const webcamStream = options.webcam ? await compositor.requestWebcamCapture() : null;
+    if (cameraOnly && !webcamStream) throw new Error('Camera access denied. Allow the camera to record camera-only.');
+    const micStream = options.mic ? await mediaHandler.requestMicrophoneCapture() : null;
+
+    let finalStream: MediaStream;
+    if (webcamStream) {
+      await compositor.initialize(screenStream, webcamStream, options.layout);
+      compositor.start();
+      const compositedStream = compositor.getOutputStream();
+      finalStream = mediaHandler.combineStreams(compositedStream, micStream);
+    } else {
+      finalStream = mediaHandler.combineStreams(screenStream!, micStream);
+    }
+
+    if (shouldUpload) {
+      try {
+        const estimatedSize = Math.min(limits.maxFileSizeBytes, (VIDEO_BITRATE / 8) * limits.maxDurationSeconds);
+        await uploader.begin(estimatedSize);
+      } catch (error) {
+        console.warn('Streaming upload unavailable, uploading after recording:', error);
+      }
+    }
+
+    mediaHandler.startRecording(finalStream, handleChunk);
+    startTimer();
+    report({ state: RecordingState.RECORDING, elapsedSeconds: 0 });
+    const displaySurface = screenStream?.getVideoTracks()[0].getSettings().displaySurface ?? null;
+    return { started: true, displaySurface };
+  } catch (error: any) {
+    showError(getErrorMessage(error));
+    return { started: false, displaySurface: null };
+  }
+}
+
+function handleChunk(chunk: Blob) {
+  uploader.append(chunk);
+  recordedBytes += chunk.size;
+  if (limits && recordedBytes + SIZE_HEADROOM_BYTES >= limits.maxFileSizeBytes) stopRecording();
+}
+
+function pauseRecording() {
+  if (state !== RecordingState.RECORDING) return;
+  mediaHandler.pauseRecording();
+  recordedMs += Date.now() - resumedAt!;
+  resumedAt = null;
+  report({ state: RecordingState.PAUSED, elapsedSeconds: elapsedSeconds() });
+}
+
+function resumeRecording() {
+  if (state !== RecordingState.PAUSED) return;
+  mediaHandler.resumeRecording();
+  resumedAt = Date.now();
+  report({ state: RecordingState.RECORDING, elapsedSeconds: elapsedSeconds() });
+}
+
+async function stopRecording() {
+  if (state !== RecordingState.RECORDING && state !== RecordingState.PAUSED) return;
+  const duration = elapsedSeconds();
+  report({ state: RecordingState.PROCESSING, elapsedSeconds: duration });
+  stopTimer();
+
+  try {
+    if (mediaHandler.mediaRecorder?.state === 'recording') {
+      mediaHandler.mediaRecorder.requestData();
+    }
+    await new Promise((r) => setTimeout(r, 300));
+
+    compositor.stop();
+    recordingBlob = await mediaHandler.stopRecording();
+    mediaHandler.cleanup();
+    compositor.cleanup();
+
+    if (!recordingBlob || recordingBlob.size === 0) {
+      showError('Recording failed - no data captured. Try recording for at least 2 seconds.');
+      return;
+    }
+
+    if (shouldUpload) {
+      await uploadRecording(duration);
+    } else {
+      report({ state: RecordingState.COMPLETE, hasRecording: true });
+    }
+  } catch (error: any) {
+    showError('Failed to process recording: ' + error.message);
+  }
+}
+
+async function uploadRecording(duration = elapsedSeconds()) {
+  uploader.onProgress = (progress) => report({ uploadProgress: progress });
+  report({ state: RecordingState.UPLOADING, uploadProgress: uploader.getProgress(), uploadFailed: false });
+  const title = `Recording ${new Date().toLocaleDateString()}`;
+
+  try {
+    const result = uploader.isActive()
+      ? await finishStreamedUpload(duration, title)
+      : await uploader.upload(recordingBlob!, duration, title);
+    report({ state: RecordingState.COMPLETE, shareUrl: result.shareUrl, hasRecording: true });
+  } catch (error: any) {
+    report({
+      state: RecordingState.COMPLETE,
+      hasRecording: true,
+      uploadFailed: true,
+      errorMessage: `Upload failed: ${error.message}. You can retry or download locally.`,
+    });
+  }
+}
+
+// Most parts were already sent while recording; finish() flushes the tail. If the server's session
+// is gone (expired or cleaned up), the whole recording is still in memory, so upload it from scratch.
+async function finishStreamedUpload(duration: number, title: string) {
+  try {
+    return await uploader.finish(duration, title);
+  } catch (error) {
+    if (!isUploadSessionGone(error)) throw error;
+    console.warn('[Vibly] Upload session is gone, uploading the recording again:', error);
+    await uploader.discard();
+    return uploader.upload(recordingBlob!, duration, title);
+  }
+}
+
+// Positions from the preview bubble are shares of the page, so they map onto any frame size
+function moveWebcam(x: number, y: number) {
+  if (!compositor.canvas) return;
+  compositor.setWebcamPosition(x * compositor.canvas.width, y * compositor.canvas.height);
+}
+
+function createDownloadUrl(): string | null {
+  if (!recordingBlob || recordingBlob.size === 0) return null;
+  const url = URL.createObjectURL(recordingBlob);
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  return url;
+}
+
+async function reset() {
+  stopTimer();
+  mediaHandler.cleanup();
+  compositor.cleanup();
+  // Only drop our own session; an interrupted one in storage belongs to the popup to resolve
+  if (uploader.isActive()) await uploader.discard();
+  recordingBlob = null;
+  recordedMs = 0;
+  state = RecordingState.IDLE;
+}
+
+function startTimer() {
+  recordedMs = 0;
+  resumedAt = Date.now();
+  timerInterval = window.setInterval(() => {
+    if (state !== RecordingState.RECORDING) return;
+    const elapsed = elapsedSeconds();
+    // Ticks also keep the background service worker awake for the badge
+    report({ elapsedSeconds: elapsed });
+    if (limits && elapsed >= limits.maxDurationSeconds) stopRecording();
+  }, 1000);
+}
+
+function stopTimer() {
+  if (resumedAt) {
+    recordedMs += Date.now() - resumedAt;
+    resumedAt = null;
+  }
+  if (timerInterval) {
+    clearInterval(timerInterval);
+    timerInterval = null;
+  }
+}
+
+function showError(message: string) {
+  stopTimer();
+  mediaHandler.cleanup();
+  compositor.cleanup();
+  report({ state: RecordingState.ERROR, errorMessage: message });
+}
+
+function getErrorMessage(error: any): string {
+  if (error.message === 'SCREEN_PERMISSION_DENIED') return 'Screen access denied. Click to try again.';
+  if (error.name === 'NotAllowedError') return 'Permission denied. Please allow access and try again.';
+  if (error.name === 'NotFoundError') return 'No screen or camera found.';
+  if (error.name === 'NotSupportedError') return "Your browser doesn't support recording.";
+  return error.message || 'Something went wrong. Please try again.';
+}
+
+onMessage<OffscreenMessage>('offscreen', async (message) => {
+  switch (message.type) {
+    case 'START':
+      return startRecording(message.streamId, message.withSystemAudio, message.options, message.limits, message.upload);
+    case 'WEBCAM_POSITION':
+      return moveWebcam(message.x, message.y);
+    case 'PAUSE':
+      return pauseRecording();
+    case 'RESUME':
+      return resumeRecording();
+    // Stopping and uploading report progress as they go; don't hold the caller's response open
+    case 'STOP':
+      stopRecording();
+      return;
+    case 'RETRY_UPLOAD':
+      uploadRecording();
+      return;
+    case 'DOWNLOAD':
+      return createDownloadUrl();
+    case 'RESET':
+      return reset();
+  }
+});
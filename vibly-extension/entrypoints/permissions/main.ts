@@ -0,0 +1,19 @@
+// The offscreen recorder can't show permission prompts, so they are granted once from this tab.
+// The popup opens it with ?camera=1&mic=1 for whichever devices still need access.
+const params = new URLSearchParams(location.search);
+const message = document.getElementById('message')!;
+
+async function requestAccess() {
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: params.get('camera') === '1',
+      audio: params.get('mic') === '1',
+    });
+    stream.getTracks().forEach((t) => t.stop());
+    message.textContent = 'Access granted. Open Vibly again to start recording.';
+  } catch {
+    message.textContent = 'Access was denied. Vibly will record without camera and microphone.';
+  }
+}
+
+requestAccess();
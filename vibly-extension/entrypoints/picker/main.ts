@@ -0,0 +1,13 @@
+import { sendMessage } from '@/utils/messages';
+
+// Chrome won't open the desktopCapture chooser from the service worker without a target tab,
+// so the background opens this window to ask. An empty streamId means the user cancelled.
+browser.desktopCapture.chooseDesktopMedia(['screen', 'window', 'tab', 'audio'], async (streamId, options) => {
+  await sendMessage({
+    target: 'background',
+    type: 'SCREEN_CHOSEN',
+    streamId,
+    canRequestAudioTrack: options?.canRequestAudioTrack ?? false,
+  }).catch((error) => console.warn('[Vibly] Failed to report the chosen screen:', error));
+  window.close();
+});
@@ -0,0 +1,87 @@
+import { getWebcamBubbleRect } from '@/utils/compositor';
+import { loadRecordingOptions, onMessage, sendMessage, type ContentMessage } from '@/utils/messages';
+
+const BUBBLE_ID = 'vibly-webcam-bubble';
+
+// Injected into the active tab while recording with a webcam overlay. The bubble marks where the
+// camera lands in the video; dragging it moves the overlay live. Positions are sent as a share of
+// the viewport so they map onto the recorded frame whatever its size.
+export default defineContentScript({
+  registration: 'runtime',
+
+  async main() {
+    // executeScript can run again in the same page, e.g. when recording restarts
+    if (document.getElementById(BUBBLE_ID)) return;
+
+    const { layout } = await loadRecordingOptions();
+    const rect = getWebcamBubbleRect(layout, window.innerWidth, window.innerHeight);
+
+    const bubble = document.createElement('div');
+    bubble.id = BUBBLE_ID;
+    bubble.title = 'Drag to move your camera';
+    bubble.textContent = 'Camera';
+    Object.assign(bubble.style, {
+      position: 'fixed',
+      left: `${rect.x}px`,
+      top: `${rect.y}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      zIndex: '2147483647',
+      boxSizing: 'border-box',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      borderRadius: layout.shape === 'circle' ? '50%' : '12px',
+      border: '3px solid rgba(102, 126, 234, 0.9)',
+      background: 'rgba(26, 26, 46, 0.35)',
+      color: 'white',
+      font: '600 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      cursor: 'grab',
+      userSelect: 'none',
+      touchAction: 'none',
+    });
+    document.documentElement.appendChild(bubble);
+
+    let dragOffset: { x: number; y: number } | null = null;
+    let pendingFrame: number | null = null;
+
+    function reportPosition() {
+      pendingFrame = null;
+      sendMessage({
+        target: 'background',
+        type: 'WEBCAM_POSITION',
+        x: bubble.offsetLeft / window.innerWidth,
+        y: bubble.offsetTop / window.innerHeight,
+      }).catch((error) => console.warn('[Vibly] Failed to move webcam:', error));
+    }
+
+    bubble.addEventListener('pointerdown', (event) => {
+      dragOffset = { x: event.clientX - bubble.offsetLeft, y: event.clientY - bubble.offsetTop };
+      bubble.setPointerCapture(event.pointerId);
+      bubble.style.cursor = 'grabbing';
+    });
+
+    bubble.addEventListener('pointermove', (event) => {
+      if (!dragOffset) return;
+      const x = Math.min(Math.max(event.clientX - dragOffset.x, 0), window.innerWidth - bubble.offsetWidth);
+      const y = Math.min(Math.max(event.clientY - dragOffset.y, 0), window.innerHeight - bubble.offsetHeight);
+      bubble.style.left = `${x}px`;
+      bubble.style.top = `${y}px`;
+      // At most one message per frame
+      pendingFrame ??= requestAnimationFrame(reportPosition);
+    });
+
+    const endDrag = (event: PointerEvent) => {
+      if (!dragOffset) return;
+      dragOffset = null;
+      bubble.releasePointerCapture(event.pointerId);
+      bubble.style.cursor = 'grab';
+    };
+    bubble.addEventListener('pointerup', endDrag);
+    bubble.addEventListener('pointercancel', endDrag);
+
+    onMessage<ContentMessage>('content', (message) => {
+      if (message.type === 'REMOVE_BUBBLE') bubble.remove();
+    });
+  },
+});
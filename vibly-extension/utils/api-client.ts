@@ -1,3 +1,4 @@
+import { ApiError } from './api-error';
 import { API_URL } from './constants';
 
 interface User {
@@ -5,6 +6,21 @@ interface User {
   email: string;
 }
 
+export interface PlanUsage {
+  tier: string;
+  limits: {
+    maxRecordings: number | null;
+    maxStorageBytes: number;
+    maxDurationSeconds: number;
+    maxFileSizeBytes: number;
+    retentionDays: number | null;
+  };
+  usage: {
+    recordings: number;
+    storageBytes: number;
+  };
+}
+
 interface AuthTokens {
   accessToken: string;
   refreshToken: string;
@@ -15,9 +31,20 @@ class ApiClient {
   private accessToken: string | null = null;
   private refreshToken: string | null = null;
   private user: User | null = null;
+  private ready: Promise<void>;
 
   constructor() {
-    this.loadTokens();
+    this.ready = this.loadTokens();
+    // Background and popup each hold an instance; keep them in sync with storage
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && ('accessToken' in changes || 'refreshToken' in changes)) {
+        this.ready = this.loadTokens();
+      }
+    });
+  }
+
+  whenReady(): Promise<void> {
+    return this.ready;
   }
 
   private async loadTokens(): Promise<void> {
@@ -54,6 +81,7 @@ class ApiClient {
   }
 
   async request(endpoint: string, options: RequestInit = {}): Promise<Response> {
+    await this.ready;
     const url = `${API_URL}${endpoint}`;
     const headers: Record<string, string> = {
       'Content-Type': 'application/json',
@@ -131,18 +159,66 @@ class ApiClient {
     await this.clearTokens();
   }
 
-  async initRecording(estimatedSize: number, partCount: number): Promise<{ recordingId: string; uploadUrls: string[] }> {
+  async getUsage(): Promise<PlanUsage> {
+    const response = await this.request('/api/me/usage');
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to load plan limits');
+    }
+    return response.json();
+  }
+
+  async initRecording(estimatedSize: number, partCount?: number): Promise<{ recordingId: string; uploadUrls: string[] }> {
     const response = await this.request('/api/recordings/init', {
       method: 'POST',
       body: JSON.stringify({ estimatedSize, partCount }),
     });
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.message || 'Failed to initialize upload');
+      throw new ApiError(error.message || 'Failed to initialize upload', error.error);
     }
     return response.json();
   }
 
+  async getPartUploadUrls(recordingId: string, partNumbers: number[]): Promise<{ partNumber: number; url: string }[]> {
+    const response = await this.request(`/api/recordings/${recordingId}/parts`, {
+      method: 'POST',
+      body: JSON.stringify({ partNumbers }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new ApiError(error.message || 'Failed to get upload URLs', error.error);
+    }
+    const data: { uploadUrls: { partNumber: number; url: string }[] } = await response.json();
+    return data.uploadUrls;
+  }
+
+  async keepAlive(recordingId: string): Promise<void> {
+    const response = await this.request(`/api/recordings/${recordingId}/keepalive`, { method: 'POST' });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new ApiError(error.message || 'Failed to keep the upload alive', error.error);
+    }
+  }
+
+  async abortUpload(recordingId: string): Promise<void> {
+    const response = await this.request(`/api/recordings/${recordingId}/upload`, { method: 'DELETE' });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new ApiError(error.message || 'Failed to abort the upload', error.error);
+    }
+  }
+
+  async getUploadedParts(recordingId: string): Promise<{ partNumber: number; etag: string; size: number }[]> {
+    const response = await this.request(`/api/recordings/${recordingId}/parts`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new ApiError(error.message || 'Failed to fetch upload status', error.error);
+    }
+    const data: { parts: { partNumber: number; etag: string; size: number }[] } = await response.json();
+    return data.parts;
+  }
+
   async completeRecording(recordingId: string, parts: { partNumber: number; etag: string }[], duration: number, title: string): Promise<{ shareUrl: string }> {
     const response = await this.request(`/api/recordings/${recordingId}/complete`, {
       method: 'POST',
@@ -150,7 +226,7 @@ class ApiClient {
     });
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.message || 'Failed to complete upload');
+      throw new ApiError(error.message || 'Failed to complete upload', error.error);
     }
     return response.json();
   }
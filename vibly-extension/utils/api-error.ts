@@ -0,0 +1,11 @@
+// Keeps the API's machine-readable `error` code (e.g. SESSION_EXPIRED) next to the message.
+// Its own module so the offscreen document can use it without loading apiClient.
+export class ApiError extends Error {
+  constructor(
+    message: string,
+    readonly code?: string
+  ) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
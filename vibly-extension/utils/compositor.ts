@@ -1,4 +1,24 @@
-import { VIDEO_FRAMERATE, WEBCAM_SIZE_RATIO } from './constants';
+import {
+  DEFAULT_WEBCAM_LAYOUT,
+  SIDE_BY_SIDE_CAMERA_RATIO,
+  VIDEO_FRAMERATE,
+  WEBCAM_PADDING,
+  WEBCAM_SIZE_RATIOS,
+  type WebcamLayout,
+} from './constants';
+
+// Where the overlay bubble sits before it's dragged; shared with the in-page preview bubble
+export function getWebcamBubbleRect(layout: WebcamLayout, frameWidth: number, frameHeight: number) {
+  const width = frameWidth * WEBCAM_SIZE_RATIOS[layout.size];
+  const height = layout.shape === 'circle' ? width : width * 0.75;
+  const x = layout.corner.endsWith('left') ? WEBCAM_PADDING : frameWidth - width - WEBCAM_PADDING;
+  const y = layout.corner.startsWith('top') ? WEBCAM_PADDING : frameHeight - height - WEBCAM_PADDING;
+  return { x, y, width, height };
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
 
 export class Compositor {
   canvas: HTMLCanvasElement | null = null;
@@ -6,9 +26,10 @@ export class Compositor {
   screenVideo: HTMLVideoElement | null = null;
   webcamVideo: HTMLVideoElement | null = null;
   webcamStream: MediaStream | null = null;
-  animationId: number | null = null;
+  frameTimer: number | null = null;
   isRunning = false;
   webcamPosition = { x: null as number | null, y: null as number | null };
+  layout: WebcamLayout = { ...DEFAULT_WEBCAM_LAYOUT };
 
   async requestWebcamCapture(): Promise<MediaStream | null> {
     try {
@@ -23,19 +44,27 @@ export class Compositor {
     }
   }
 
-  async initialize(screenStream: MediaStream, webcamStream: MediaStream | null = null): Promise<HTMLCanvasElement> {
+  async initialize(
+    screenStream: MediaStream | null,
+    webcamStream: MediaStream | null = null,
+    layout: WebcamLayout = this.layout
+  ): Promise<HTMLCanvasElement> {
     this.canvas = document.createElement('canvas');
     this.ctx = this.canvas.getContext('2d');
+    this.layout = { ...layout };
 
-    const videoTrack = screenStream.getVideoTracks()[0];
-    const settings = videoTrack.getSettings();
+    // Camera-only recordings take their frame size from the webcam
+    const sizingTrack = (screenStream ?? webcamStream)?.getVideoTracks()[0];
+    const settings = sizingTrack?.getSettings() ?? {};
     this.canvas.width = settings.width || 1920;
     this.canvas.height = settings.height || 1080;
 
-    this.screenVideo = document.createElement('video');
-    this.screenVideo.srcObject = screenStream;
-    this.screenVideo.muted = true;
-    await this.screenVideo.play();
+    if (screenStream) {
+      this.screenVideo = document.createElement('video');
+      this.screenVideo.srcObject = screenStream;
+      this.screenVideo.muted = true;
+      await this.screenVideo.play();
+    }
 
     if (webcamStream) {
       this.webcamStream = webcamStream;
@@ -53,37 +82,93 @@ export class Compositor {
     this._composite();
   }
 
-
   private _composite(): void {
-    if (!this.isRunning || !this.ctx || !this.canvas || !this.screenVideo) return;
-    this.ctx.drawImage(this.screenVideo, 0, 0, this.canvas.width, this.canvas.height);
-    if (this.webcamVideo && this.webcamStream?.active) this._drawWebcamOverlay();
-    this.animationId = requestAnimationFrame(() => this._composite());
+    if (!this.isRunning || !this.ctx || !this.canvas) return;
+    const hasWebcam = !!this.webcamVideo && !!this.webcamStream?.active;
+
+    if (this.layout.mode === 'camera-only') {
+      this.ctx.fillStyle = '#000';
+      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      if (hasWebcam) this._drawWebcamFrame(0, 0, this.canvas.width, this.canvas.height);
+    } else if (this.layout.mode === 'side-by-side' && hasWebcam) {
+      this._drawSideBySide();
+    } else {
+      if (this.screenVideo) this.ctx.drawImage(this.screenVideo, 0, 0, this.canvas.width, this.canvas.height);
+      if (hasWebcam) this._drawWebcamOverlay();
+    }
+    // The offscreen document never paints, so requestAnimationFrame would never fire
+    this.frameTimer = window.setTimeout(() => this._composite(), 1000 / VIDEO_FRAMERATE);
+  }
+
+  private _drawSideBySide(): void {
+    if (!this.ctx || !this.canvas) return;
+    const cameraWidth = Math.round(this.canvas.width * SIDE_BY_SIDE_CAMERA_RATIO);
+    const screenWidth = this.canvas.width - cameraWidth;
+
+    this.ctx.fillStyle = '#000';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // Letterbox the screen so nothing on it is cropped
+    if (this.screenVideo?.videoWidth) {
+      const scale = Math.min(
+        screenWidth / this.screenVideo.videoWidth,
+        this.canvas.height / this.screenVideo.videoHeight
+      );
+      const width = this.screenVideo.videoWidth * scale;
+      const height = this.screenVideo.videoHeight * scale;
+      this.ctx.drawImage(this.screenVideo, (screenWidth - width) / 2, (this.canvas.height - height) / 2, width, height);
+    }
+    this._drawWebcamFrame(screenWidth, 0, cameraWidth, this.canvas.height);
   }
 
   private _drawWebcamOverlay(): void {
-    if (!this.ctx || !this.canvas || !this.webcamVideo) return;
-    const webcamWidth = this.canvas.width * WEBCAM_SIZE_RATIO;
-    const webcamHeight = webcamWidth * 0.75;
-    const padding = 20;
-    const x = this.webcamPosition.x ?? this.canvas.width - webcamWidth - padding;
-    const y = this.webcamPosition.y ?? this.canvas.height - webcamHeight - padding;
-    const radius = 12;
+    if (!this.ctx || !this.canvas) return;
+    const rect = getWebcamBubbleRect(this.layout, this.canvas.width, this.canvas.height);
+    const { width, height } = rect;
+    // A dragged position wins over the corner, kept fully inside the frame
+    const x = clamp(this.webcamPosition.x ?? rect.x, 0, this.canvas.width - width);
+    const y = clamp(this.webcamPosition.y ?? rect.y, 0, this.canvas.height - height);
 
     this.ctx.save();
-    this.ctx.beginPath();
-    this.ctx.roundRect(x, y, webcamWidth, webcamHeight, radius);
+    this._traceBubble(x, y, width, height);
     this.ctx.clip();
-    this.ctx.drawImage(this.webcamVideo, x, y, webcamWidth, webcamHeight);
+    this._drawWebcamFrame(x, y, width, height);
     this.ctx.restore();
 
     this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
     this.ctx.lineWidth = 2;
-    this.ctx.beginPath();
-    this.ctx.roundRect(x, y, webcamWidth, webcamHeight, radius);
+    this._traceBubble(x, y, width, height);
     this.ctx.stroke();
   }
 
+  private _traceBubble(x: number, y: number, width: number, height: number): void {
+    this.ctx!.beginPath();
+    if (this.layout.shape === 'circle') {
+      this.ctx!.arc(x + width / 2, y + height / 2, width / 2, 0, Math.PI * 2);
+    } else {
+      this.ctx!.roundRect(x, y, width, height, 12);
+    }
+  }
+
+  // Fills the box with the webcam, cropping rather than stretching it
+  private _drawWebcamFrame(x: number, y: number, width: number, height: number): void {
+    const video = this.webcamVideo;
+    if (!this.ctx || !video?.videoWidth) return;
+    const scale = Math.max(width / video.videoWidth, height / video.videoHeight);
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+    const sourceX = (video.videoWidth - sourceWidth) / 2;
+    const sourceY = (video.videoHeight - sourceHeight) / 2;
+
+    this.ctx.save();
+    if (this.layout.mirror) {
+      this.ctx.translate(x * 2 + width, 0);
+      this.ctx.scale(-1, 1);
+    }
+    this.ctx.drawImage(video, sourceX, sourceY, sourceWidth, sourceHeight, x, y, width, height);
+    this.ctx.restore();
+  }
+
   setWebcamPosition(x: number, y: number): void {
     this.webcamPosition = { x, y };
   }
@@ -94,9 +179,9 @@ export class Compositor {
 
   stop(): void {
     this.isRunning = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+    if (this.frameTimer) {
+      clearTimeout(this.frameTimer);
+      this.frameTimer = null;
     }
   }
 
@@ -110,6 +195,7 @@ export class Compositor {
     this.screenVideo = null;
     this.webcamVideo = null;
     this.webcamStream = null;
+    this.webcamPosition = { x: null, y: null };
   }
 
   hasWebcam(): boolean {
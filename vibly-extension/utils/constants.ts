@@ -1,17 +1,63 @@
 // API Configuration
 export const API_URL = 'http://localhost:3000';
 
-// Recording limits
-export const MAX_RECORDING_DURATION = 420; // 7 minutes in seconds
-export const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
+// Recording limits come from the user's plan (GET /api/me/usage)
+export interface RecordingLimits {
+  maxDurationSeconds: number;
+  maxFileSizeBytes: number;
+}
+
+// Guest recordings stay in memory until downloaded, so they keep a fixed cap
+export const GUEST_RECORDING_LIMITS: RecordingLimits = {
+  maxDurationSeconds: 420, // 7 minutes
+  maxFileSizeBytes: 500 * 1024 * 1024, // 500MB
+};
 
 // Upload configuration
 export const PART_SIZE = 5 * 1024 * 1024; // 5MB (S3 minimum)
+export const RECORDER_TIMESLICE = 1000; // MediaRecorder emits a chunk every second
+export const UPLOAD_KEEPALIVE_INTERVAL = 5 * 60 * 1000; // the server's upload session lapses after 15 minutes
 
 // Video settings
 export const VIDEO_BITRATE = 2500000; // 2.5 Mbps
 export const VIDEO_FRAMERATE = 30;
-export const WEBCAM_SIZE_RATIO = 0.2; // 20% of screen width
+// Chrome otherwise emits very few keyframes; the server's thumbnail sprites decode only these
+export const VIDEO_KEYFRAME_INTERVAL_MS = 5000;
+
+// Webcam layout
+export type WebcamLayoutMode = 'overlay' | 'side-by-side' | 'camera-only';
+export type WebcamShape = 'circle' | 'rounded';
+export type WebcamCorner = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+export type WebcamSize = 'small' | 'medium' | 'large';
+
+export interface WebcamLayout {
+  mode: WebcamLayoutMode;
+  shape: WebcamShape;
+  corner: WebcamCorner;
+  size: WebcamSize;
+  mirror: boolean;
+}
+
+export const DEFAULT_WEBCAM_LAYOUT: WebcamLayout = {
+  mode: 'overlay',
+  shape: 'rounded',
+  corner: 'bottom-right',
+  size: 'medium',
+  mirror: false,
+};
+
+// Bubble width as a share of the frame width
+export const WEBCAM_SIZE_RATIOS: Record<WebcamSize, number> = {
+  small: 0.15,
+  medium: 0.2,
+  large: 0.3,
+};
+export const WEBCAM_PADDING = 20;
+export const SIDE_BY_SIDE_CAMERA_RATIO = 0.3; // camera column share of the frame width
+
+// The preview bubble is injected into whichever tab gets captured, which activeTab doesn't cover;
+// requested from the popup (optional_host_permissions in wxt.config.ts)
+export const BUBBLE_HOST_ORIGINS = ['https://*/*', 'http://*/*'];
 
 // Recording states
 export enum RecordingState {
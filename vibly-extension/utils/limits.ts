@@ -0,0 +1,33 @@
+import { GUEST_RECORDING_LIMITS, type RecordingLimits } from './constants';
+import type { PlanUsage } from './api-client';
+
+// What a single new recording may use: the plan cap, shrunk to the storage that's left
+export function getRecordingLimits(plan: PlanUsage | null): RecordingLimits {
+  if (!plan) return GUEST_RECORDING_LIMITS;
+  const remainingStorage = Math.max(0, plan.limits.maxStorageBytes - plan.usage.storageBytes);
+  return {
+    maxDurationSeconds: plan.limits.maxDurationSeconds,
+    maxFileSizeBytes: Math.min(plan.limits.maxFileSizeBytes, remainingStorage),
+  };
+}
+
+// Mirrors the server's checks so the user finds out before recording, not after
+export function getQuotaError(plan: PlanUsage): string | null {
+  const { limits, usage } = plan;
+  if (limits.maxRecordings !== null && usage.recordings >= limits.maxRecordings) {
+    return `Your ${plan.tier} plan is limited to ${limits.maxRecordings} recordings. Delete one to record again.`;
+  }
+  if (usage.storageBytes >= limits.maxStorageBytes) {
+    return `You've used all ${formatBytes(limits.maxStorageBytes)} of storage. Delete a recording to record again.`;
+  }
+  return null;
+}
+
+export function formatBytes(bytes: number): string {
+  const gb = bytes / 1024 ** 3;
+  return gb >= 1 ? `${+gb.toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+export function formatDuration(seconds: number): string {
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
@@ -1,4 +1,4 @@
-import { VIDEO_BITRATE } from './constants';
+import { VIDEO_BITRATE, RECORDER_TIMESLICE, VIDEO_KEYFRAME_INTERVAL_MS } from './constants';
 
 export class MediaHandler {
   mediaRecorder: MediaRecorder | null = null;
@@ -8,12 +8,14 @@ export class MediaHandler {
   combinedStream: MediaStream | null = null;
   private _audioContext: AudioContext | null = null;
 
-  async requestScreenCapture(): Promise<MediaStream> {
+  // streamId comes from desktopCapture.chooseDesktopMedia in the picker window
+  async requestDesktopCapture(streamId: string, withSystemAudio: boolean): Promise<MediaStream> {
+    const source = { mandatory: { chromeMediaSource: 'desktop', chromeMediaSourceId: streamId } };
     try {
-      this.screenStream = await navigator.mediaDevices.getDisplayMedia({
-        video: true,
-        audio: { echoCancellation: true, noiseSuppression: true },
-      });
+      this.screenStream = await navigator.mediaDevices.getUserMedia({
+        video: source,
+        audio: withSystemAudio ? source : false,
+      } as MediaStreamConstraints);
       return this.screenStream;
     } catch (error: any) {
       if (error.name === 'NotAllowedError') {
@@ -66,7 +68,11 @@ export class MediaHandler {
   startRecording(stream: MediaStream, onDataAvailable?: (data: Blob) => void): MediaRecorder {
     this.recordedChunks = [];
     const mimeType = this._getSupportedMimeType();
-    const options: MediaRecorderOptions = { mimeType };
+    // videoKeyFrameIntervalDuration isn't in the DOM typings yet; browsers without it ignore it
+    const options: MediaRecorderOptions & { videoKeyFrameIntervalDuration?: number } = {
+      mimeType,
+      videoKeyFrameIntervalDuration: VIDEO_KEYFRAME_INTERVAL_MS,
+    };
     if (VIDEO_BITRATE) options.videoBitsPerSecond = VIDEO_BITRATE;
 
     this.mediaRecorder = new MediaRecorder(stream, options);
@@ -77,7 +83,7 @@ export class MediaHandler {
       }
     };
     this.mediaRecorder.onerror = (event: any) => console.error('MediaRecorder error:', event.error);
-    this.mediaRecorder.start(1000);
+    this.mediaRecorder.start(RECORDER_TIMESLICE);
     return this.mediaRecorder;
   }
 
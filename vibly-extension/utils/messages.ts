@@ -0,0 +1,135 @@
+import { ApiError } from './api-error';
+import { DEFAULT_WEBCAM_LAYOUT, RecordingState, type RecordingLimits, type WebcamLayout } from './constants';
+
+export interface RecordingOptions {
+  webcam: boolean;
+  mic: boolean;
+  layout: WebcamLayout;
+}
+
+const RECORDING_OPTIONS_KEY = 'recordingOptions';
+
+// Saved by the popup so keyboard commands start with the same choices
+export async function loadRecordingOptions(): Promise<RecordingOptions> {
+  const result = (await browser.storage.local.get(RECORDING_OPTIONS_KEY)) as { recordingOptions?: RecordingOptions };
+  const stored = result.recordingOptions;
+  return { webcam: true, mic: true, ...stored, layout: { ...DEFAULT_WEBCAM_LAYOUT, ...stored?.layout } };
+}
+
+export async function saveRecordingOptions(options: RecordingOptions): Promise<void> {
+  await browser.storage.local.set({ [RECORDING_OPTIONS_KEY]: options });
+}
+
+// Single source of truth for the recorder, owned by the background service worker
+export interface RecorderStatus {
+  state: RecordingState;
+  elapsedSeconds: number;
+  uploadProgress: number;
+  shareUrl: string | null;
+  errorMessage: string | null;
+  uploadFailed: boolean;
+  hasRecording: boolean; // a finished recording is held by the offscreen document
+  hasInterruptedUpload: boolean;
+}
+
+export const IDLE_STATUS: RecorderStatus = {
+  state: RecordingState.IDLE,
+  elapsedSeconds: 0,
+  uploadProgress: 0,
+  shareUrl: null,
+  errorMessage: null,
+  uploadFailed: false,
+  hasRecording: false,
+  hasInterruptedUpload: false,
+};
+
+// Popup and keyboard commands → background
+export type ControlMessage = {
+  target: 'background';
+  type:
+    | 'START'
+    | 'PAUSE'
+    | 'RESUME'
+    | 'STOP'
+    | 'STATUS'
+    | 'RESET'
+    | 'RETRY_UPLOAD'
+    | 'DOWNLOAD'
+    | 'SAVE_INTERRUPTED'
+    | 'DISCARD_INTERRUPTED';
+};
+
+// Offscreen document → background
+export type RecorderMessage =
+  | { target: 'background'; type: 'RECORDER_UPDATE'; status: Partial<RecorderStatus> }
+  | { target: 'background'; type: 'API_CALL'; method: string; args: unknown[] }
+  | { target: 'background'; type: 'UPLOAD_STORE'; action: 'load' | 'save' | 'clear'; upload?: unknown };
+
+// Preview bubble content script → background; position is the bubble's top-left as a share of the viewport
+export type BubbleMessage = { target: 'background'; type: 'WEBCAM_POSITION'; x: number; y: number };
+
+// Screen picker window → background; an empty streamId means the picker was cancelled
+export type PickerMessage = { target: 'background'; type: 'SCREEN_CHOSEN'; streamId: string; canRequestAudioTrack: boolean };
+
+// Background → offscreen document
+export type OffscreenMessage =
+  | {
+      target: 'offscreen';
+      type: 'START';
+      streamId: string | null;
+      withSystemAudio: boolean;
+      options: RecordingOptions;
+      limits: RecordingLimits;
+      upload: boolean;
+    }
+  | { target: 'offscreen'; type: 'WEBCAM_POSITION'; x: number; y: number }
+  | { target: 'offscreen'; type: 'PAUSE' | 'RESUME' | 'STOP' | 'RETRY_UPLOAD' | 'DOWNLOAD' | 'RESET' };
+
+// Offscreen document's answer to START; displaySurface is the captured surface's kind
+// ('browser' for a tab, 'window', 'monitor'), null for camera-only recordings
+export interface StartResult {
+  started: boolean;
+  displaySurface: string | null;
+}
+
+// Background → preview bubble content script
+export type ContentMessage = { target: 'content'; type: 'REMOVE_BUBBLE' };
+
+// Background → popup
+export type PopupMessage = { target: 'popup'; type: 'STATUS'; status: RecorderStatus };
+
+export type ExtensionMessage =
+  | ControlMessage
+  | RecorderMessage
+  | BubbleMessage
+  | PickerMessage
+  | OffscreenMessage
+  | ContentMessage
+  | PopupMessage;
+
+// Responses carry errors as data since they can't cross the message boundary as exceptions;
+// code keeps an ApiError's code so callers on the other side can still branch on it
+export type MessageResponse<T = unknown> = { result: T } | { error: string; code?: string };
+
+export async function sendMessage<T = unknown>(message: ExtensionMessage): Promise<T> {
+  const response = (await browser.runtime.sendMessage(message)) as MessageResponse<T> | undefined;
+  if (response && 'error' in response) throw new ApiError(response.error, response.code);
+  return (response as { result: T } | undefined)?.result as T;
+}
+
+// Wires an async handler to onMessage for one target, using the sendResponse/return-true contract
+export function onMessage<M extends ExtensionMessage>(
+  target: M['target'],
+  handler: (message: M) => Promise<unknown> | unknown
+): void {
+  browser.runtime.onMessage.addListener((message: ExtensionMessage, _sender, sendResponse) => {
+    if (message?.target !== target) return;
+    Promise.resolve()
+      .then(() => handler(message as M))
+      .then(
+        (result) => sendResponse({ result }),
+        (error: any) => sendResponse({ error: error?.message || String(error), code: error?.code })
+      );
+    return true;
+  });
+}
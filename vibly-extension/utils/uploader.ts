@@ -1,27 +1,255 @@
-import { PART_SIZE } from './constants';
-import { apiClient } from './api-client';
+import { ApiError } from './api-error';
+import { PART_SIZE, RECORDER_TIMESLICE, UPLOAD_KEEPALIVE_INTERVAL } from './constants';
+
+interface UploadedPart {
+  partNumber: number;
+  etag: string;
+  recordedSeconds: number; // recording length covered up to the end of this part
+}
+
+interface PendingPart {
+  partNumber: number;
+  blob: Blob;
+  recordedSeconds: number;
+}
+
+// Persisted after every part so an interrupted session can be finished later
+export interface InterruptedUpload {
+  recordingId: string;
+  parts: UploadedPart[];
+}
+
+// The backend calls the uploader needs; apiClient in extension pages, a proxy in the offscreen document
+export interface UploadApi {
+  initRecording(estimatedSize: number, partCount?: number): Promise<{ recordingId: string; uploadUrls: string[] }>;
+  getPartUploadUrls(recordingId: string, partNumbers: number[]): Promise<{ partNumber: number; url: string }[]>;
+  getUploadedParts(recordingId: string): Promise<{ partNumber: number; etag: string; size: number }[]>;
+  keepAlive(recordingId: string): Promise<void>;
+  abortUpload(recordingId: string): Promise<void>;
+  completeRecording(
+    recordingId: string,
+    parts: { partNumber: number; etag: string }[],
+    duration: number,
+    title: string
+  ): Promise<{ shareUrl: string }>;
+}
+
+export interface UploadStore {
+  load(): Promise<InterruptedUpload | null>;
+  save(upload: InterruptedUpload): Promise<void>;
+  clear(): Promise<void>;
+}
+
+const ACTIVE_UPLOAD_KEY = 'activeUpload';
+
+// Uploading again only helps when the server no longer has the session; a completed or
+// aborted one means the recording already exists or was rejected
+export function isUploadSessionGone(error: unknown): boolean {
+  return error instanceof ApiError && (error.code === 'SESSION_NOT_FOUND' || error.code === 'SESSION_EXPIRED');
+}
+
+export const storageUploadStore: UploadStore = {
+  async load() {
+    const result = (await browser.storage.local.get(ACTIVE_UPLOAD_KEY)) as { activeUpload?: InterruptedUpload };
+    return result.activeUpload || null;
+  },
+  async save(upload) {
+    await browser.storage.local.set({ [ACTIVE_UPLOAD_KEY]: upload });
+  },
+  async clear() {
+    await browser.storage.local.remove(ACTIVE_UPLOAD_KEY);
+  },
+};
 
 export class Uploader {
   onProgress: ((progress: number) => void) | null = null;
+  recordingId: string | null = null;
+  private parts: UploadedPart[] = [];
+  private deferredParts = new Map<number, PendingPart>();
+  private buffer: Blob[] = [];
+  private bufferedSize = 0;
+  private chunkCount = 0;
+  private nextPartNumber = 1;
+  private queue: Promise<void> = Promise.resolve();
+  private queuedBytes = 0;
+  private uploadedBytes = 0;
+  private keepAliveTimer: ReturnType<typeof setInterval> | null = null;
 
+  constructor(
+    private api: UploadApi,
+    private store: UploadStore
+  ) {}
+
+  // The server checks estimatedSize against the plan before any bytes are sent
+  async begin(estimatedSize: number): Promise<void> {
+    const { recordingId } = await this.api.initRecording(estimatedSize);
+    this.reset();
+    this.recordingId = recordingId;
+    // Pauses and mostly static screens can go longer than the session window between parts
+    this.keepAliveTimer = setInterval(() => {
+      this.api.keepAlive(recordingId).catch((error) => console.warn('Upload keep-alive failed:', error));
+    }, UPLOAD_KEEPALIVE_INTERVAL);
+    await this.persist();
+  }
+
+  isActive(): boolean {
+    return this.recordingId !== null;
+  }
+
+  getProgress(): number {
+    return this.queuedBytes > 0 ? (this.uploadedBytes / this.queuedBytes) * 100 : 0;
+  }
+
+  append(chunk: Blob): void {
+    if (!this.recordingId) return;
+    this.buffer.push(chunk);
+    this.bufferedSize += chunk.size;
+    this.chunkCount++;
+    if (this.bufferedSize >= PART_SIZE) this.cutPart();
+  }
+
+  async finish(duration: number, title = 'Untitled Recording'): Promise<{ shareUrl: string }> {
+    if (!this.recordingId) throw new Error('No upload in progress');
+    this.cutPart();
+    await this.queue;
+    await this.retryDeferredParts();
+
+    const parts = [...this.parts]
+      .sort((a, b) => a.partNumber - b.partNumber)
+      .map(({ partNumber, etag }) => ({ partNumber, etag }));
+    const result = await this.api.completeRecording(this.recordingId, parts, duration, title);
+    await this.clear();
+    return result;
+  }
+
+  // Fallback for when streaming couldn't start, e.g. the API was unreachable at record time
   async upload(blob: Blob, duration: number, title = 'Untitled Recording'): Promise<{ shareUrl: string }> {
-    const totalParts = Math.ceil(blob.size / PART_SIZE);
-    const { recordingId, uploadUrls } = await apiClient.initRecording(blob.size, totalParts);
+    await this.begin(blob.size);
+    for (let start = 0; start < blob.size; start += PART_SIZE) {
+      const end = Math.min(start + PART_SIZE, blob.size);
+      this.buffer.push(blob.slice(start, end));
+      this.bufferedSize += end - start;
+      this.cutPart(Math.round((end / blob.size) * duration));
+    }
+    return this.finish(duration, title);
+  }
+
+  async getInterruptedUpload(): Promise<InterruptedUpload | null> {
+    if (this.recordingId) return null;
+    return this.store.load();
+  }
 
+  // Completes the contiguous run of parts that reached R2 before the interruption
+  async finishInterrupted(interrupted: InterruptedUpload, title = 'Untitled Recording'): Promise<{ shareUrl: string }> {
+    const uploaded = await this.api.getUploadedParts(interrupted.recordingId);
     const parts: { partNumber: number; etag: string }[] = [];
-    for (let i = 0; i < totalParts; i++) {
-      const start = i * PART_SIZE;
-      const end = Math.min(start + PART_SIZE, blob.size);
-      const part = blob.slice(start, end);
+    for (const part of uploaded.sort((a, b) => a.partNumber - b.partNumber)) {
+      if (part.partNumber !== parts.length + 1) break;
+      parts.push({ partNumber: part.partNumber, etag: part.etag });
+    }
+
+    if (parts.length === 0) {
+      await this.discard();
+      throw new Error('Nothing was uploaded before the interruption');
+    }
 
-      const etag = await this.uploadPartWithRetry(part, uploadUrls[i], i + 1);
-      parts.push({ partNumber: i + 1, etag });
+    const recordedSeconds = interrupted.parts
+      .filter((p) => p.partNumber <= parts.length)
+      .reduce((max, p) => Math.max(max, p.recordedSeconds), 0);
+    const result = await this.api.completeRecording(
+      interrupted.recordingId,
+      parts,
+      Math.max(1, recordedSeconds),
+      title
+    );
+    await this.clear();
+    return result;
+  }
+
+  // Gives up on the active or interrupted upload; the server aborts it so its parts don't
+  // sit in storage until cleanup
+  async discard(): Promise<void> {
+    const recordingId = this.recordingId ?? (await this.store.load())?.recordingId;
+    await this.clear();
+    if (!recordingId) return;
+    await this.api.abortUpload(recordingId).catch((error) => console.warn('Could not abort the upload:', error));
+  }
+
+  private async clear(): Promise<void> {
+    this.reset();
+    await this.store.clear();
+  }
+
+  private reset(): void {
+    if (this.keepAliveTimer) clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+    this.recordingId = null;
+    this.parts = [];
+    this.deferredParts.clear();
+    this.buffer = [];
+    this.bufferedSize = 0;
+    this.chunkCount = 0;
+    this.nextPartNumber = 1;
+    this.queue = Promise.resolve();
+    this.queuedBytes = 0;
+    this.uploadedBytes = 0;
+  }
 
-      const progress = ((i + 1) / totalParts) * 100;
-      this.onProgress?.(progress);
+  private cutPart(recordedSeconds = Math.round((this.chunkCount * RECORDER_TIMESLICE) / 1000)): void {
+    if (this.bufferedSize === 0) return;
+    const part: PendingPart = {
+      partNumber: this.nextPartNumber++,
+      blob: new Blob(this.buffer, { type: 'video/webm' }),
+      recordedSeconds,
+    };
+    this.buffer = [];
+    this.bufferedSize = 0;
+    this.queuedBytes += part.blob.size;
+    this.queue = this.queue.then(() => this.sendPart(part));
+  }
+
+  private async sendPart(part: PendingPart): Promise<void> {
+    try {
+      await this.uploadPart(part);
+    } catch (error) {
+      // Keep the bytes; finish() retries them once recording is over
+      console.warn(`Part ${part.partNumber} deferred:`, error);
+      this.deferredParts.set(part.partNumber, part);
     }
+  }
+
+  private async retryDeferredParts(): Promise<void> {
+    if (this.deferredParts.size === 0) return;
 
-    return apiClient.completeRecording(recordingId, parts, duration, title);
+    // A part may have reached R2 even though its response was lost
+    const uploaded = await this.api.getUploadedParts(this.recordingId!);
+    for (const part of [...this.deferredParts.values()]) {
+      const existing = uploaded.find((p) => p.partNumber === part.partNumber && p.size === part.blob.size);
+      if (existing) {
+        this.recordPart(part, existing.etag);
+        await this.persist();
+      } else {
+        await this.uploadPart(part);
+      }
+      this.deferredParts.delete(part.partNumber);
+    }
+  }
+
+  private async uploadPart(part: PendingPart): Promise<void> {
+    const [{ url }] = await this.api.getPartUploadUrls(this.recordingId!, [part.partNumber]);
+    const etag = await this.uploadPartWithRetry(part.blob, url, part.partNumber);
+    this.recordPart(part, etag);
+    await this.persist();
+  }
+
+  private recordPart(part: PendingPart, etag: string): void {
+    this.parts.push({ partNumber: part.partNumber, etag, recordedSeconds: part.recordedSeconds });
+    this.uploadedBytes += part.blob.size;
+    this.onProgress?.(this.getProgress());
+  }
+
+  private async persist(): Promise<void> {
+    await this.store.save({ recordingId: this.recordingId!, parts: this.parts });
   }
 
   private async uploadPartWithRetry(part: Blob, presignedUrl: string, partNumber: number, maxRetries = 3): Promise<string> {
@@ -52,5 +280,3 @@ export class Uploader {
     throw lastError;
   }
 }
-
-export const uploader = new Uploader();
@@ -6,11 +6,27 @@ export default defineConfig({
     name: 'Vibly',
     description: 'Lightweight screen recording with webcam overlay. Record and share instantly.',
     version: '2.0.0',
-    permissions: ['storage', 'tabs'],
+    permissions: ['storage', 'tabs', 'offscreen', 'desktopCapture', 'downloads', 'scripting', 'activeTab'],
     host_permissions: [
       'http://localhost:3000/*',
       'https://api.vibly.com/*'
     ],
+    // For the webcam preview bubble; see BUBBLE_HOST_ORIGINS
+    optional_host_permissions: ['https://*/*', 'http://*/*'],
+    commands: {
+      'start-recording': {
+        suggested_key: { default: 'Alt+Shift+R' },
+        description: 'Start recording',
+      },
+      'toggle-pause': {
+        suggested_key: { default: 'Alt+Shift+P' },
+        description: 'Pause or resume recording',
+      },
+      'stop-recording': {
+        suggested_key: { default: 'Alt+Shift+S' },
+        description: 'Stop recording',
+      },
+    },
     icons: {
       16: '/icon.svg',
       32: '/icon.svg',